@@ -96,6 +96,7 @@ export default [
         clearTimeout: 'readonly',
         setInterval: 'readonly',
         clearInterval: 'readonly',
+        WebSocket: 'readonly', // Browser WebSocket, used for remote control
         iina: 'readonly', // IINA plugin global available in UI
       },
     },
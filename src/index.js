@@ -8,6 +8,19 @@ const { createServerSessionStore } = require('./lib/server-session-store.js');
 const { createPlaybackTrackingManager } = require('./lib/playback-tracking.js');
 const { createAutoplayManager } = require('./lib/autoplay-manager.js');
 const { createMediaActionsManager } = require('./lib/media-actions.js');
+const { createMediaSegmentsManager } = require('./lib/media-segments.js');
+const { createChaptersManager } = require('./lib/chapters.js');
+const { createTrickplayManager } = require('./lib/trickplay.js');
+const { createLyricsManager } = require('./lib/lyrics.js');
+const { createPlayQueueManager } = require('./lib/play-queue.js');
+const { createInstantMixManager } = require('./lib/instant-mix.js');
+const { createTranscodingManager } = require('./lib/transcoding.js');
+const { createMediaTracksManager } = require('./lib/media-tracks.js');
+const { createTrackSelectionManager } = require('./lib/track-selection.js');
+const { createRemoteSubtitlesManager } = require('./lib/remote-subtitles.js');
+const { createRemoteControlManager } = require('./lib/remote-control.js');
+const { createSyncPlayManager } = require('./lib/syncplay.js');
+const { createUserDataManager } = require('./lib/user-data.js');
 
 const {
   core,
@@ -16,9 +29,11 @@ const {
   event,
   http,
   utils,
+  file,
   preferences,
   mpv,
   sidebar,
+  overlay,
   global,
   standaloneWindow,
 } = iina;
@@ -59,6 +74,9 @@ const {
   isJellyfinUrl,
   fetchPlaybackInfo,
   fetchItemMetadata,
+  clearItemMetadataCache,
+  fetchUserConfiguration,
+  selectMediaSource,
   secondsToTicks,
   ticksToSeconds,
 } = createJellyfinApi({
@@ -77,6 +95,9 @@ const {
   storeJellyfinSession,
   clearJellyfinSession,
   getStoredJellyfinSession,
+  getLibraryView,
+  setLibraryView,
+  notifyViews,
 } = createServerSessionStore({
   preferences,
   sidebar,
@@ -86,10 +107,31 @@ const {
 
 debugLog('Jellyfin Subtitles Plugin loaded');
 
+const { findTrackId, getSelectedStreamIndex, selectTrackByStreamIndex } = createMediaTracksManager({
+  mpv,
+  log: debugLog,
+});
+
+const { applyTrackSelection } = createTrackSelectionManager({
+  preferences,
+  fetchPlaybackInfo,
+  fetchItemMetadata,
+  fetchUserConfiguration,
+  selectMediaSource,
+  findTrackId,
+  selectTrackByStreamIndex,
+  log: debugLog,
+});
+
 const {
   startPlaybackTracking,
   stopPlaybackTracking,
   handlePauseChange,
+  handleTrackChange,
+  markSessionWatched,
+  settleSessionWatched,
+  resumeFromPrompt,
+  startOverFromPrompt,
   getCurrentPlaybackSession,
 } = createPlaybackTrackingManager({
   core,
@@ -98,12 +140,33 @@ const {
   buildJellyfinHeaders,
   fetchPlaybackInfo,
   fetchItemMetadata,
+  selectMediaSource,
+  getSelectedStreamIndex,
+  selectTrackByStreamIndex,
+  // The play queue is set up further down; reports only ask once playing
+  getNowPlayingQueue: () => getNowPlayingQueue(),
   secondsToTicks,
   ticksToSeconds,
   log: debugLog,
 });
 
-const { setupAutoplayForEpisode, resetForNewFile, clearQueuedFlag, isQueued } =
+const {
+  resolveStreamUrl,
+  requestBurnInUrl,
+  openLiveStream,
+  setActiveTranscode,
+  stopActiveTranscode,
+} = createTranscodingManager({
+  http,
+  preferences,
+  buildJellyfinHeaders,
+  getClientIdentity,
+  parseJellyfinUrl,
+  selectMediaSource,
+  log: debugLog,
+});
+
+const { setupAutoplayForEpisode, handleCreditsStart, resetForNewFile, clearQueuedFlag, isQueued } =
   createAutoplayManager({
     http,
     mpv,
@@ -111,25 +174,204 @@ const { setupAutoplayForEpisode, resetForNewFile, clearQueuedFlag, isQueued } =
     preferences,
     buildJellyfinHeaders,
     fetchItemMetadata,
+    resolveStreamUrl,
+    log: debugLog,
+  });
+
+const { loadSegmentsForItem, skipCurrentSegment, clearSegments } = createMediaSegmentsManager({
+  core,
+  http,
+  preferences,
+  buildJellyfinHeaders,
+  ticksToSeconds,
+  onCreditsStart: handleCreditsSegment,
+  log: debugLog,
+});
+
+// Commands from other clients act on this window's player, so whatever they
+// start plays here even when the sidebar would open a new window.
+const { registerCapabilities, handleDisconnected, handleRemoteMessage, getRemoteServer } =
+  createRemoteControlManager({
+    core,
+    mpv,
+    http,
+    buildJellyfinHeaders,
+    ticksToSeconds,
+    selectTrackByStreamIndex,
+    playMedia: (item) => handlePlayMedia({ ...item, inCurrentWindow: true }),
+    playMediaList: (items) => handlePlayMediaList({ items }),
+    // The play queue is set up further down; remote commands only come later
+    addToQueue: (items, options) => addToQueue(items, options),
+    log: debugLog,
+  });
+
+const {
+  isInGroup,
+  getState: getSyncPlayState,
+  showParticipants,
+  handleSyncPlayMessage,
+  handleFileLoaded: handleSyncPlayFileLoaded,
+  handleLocalPauseChange,
+  handleLocalSeek,
+  handleBufferingChange,
+  resetGroup,
+} = createSyncPlayManager({
+  core,
+  mpv,
+  http,
+  buildJellyfinHeaders,
+  fetchItemMetadata,
+  secondsToTicks,
+  ticksToSeconds,
+  getRemoteServer,
+  playMedia: (item) => handlePlayMedia({ ...item, inCurrentWindow: true }),
+  // A group can be joined from the standalone browser as well
+  notifyViews,
+  log: debugLog,
+});
+
+/**
+ * The sidebar forwards every player-related socket message; SyncPlay ones go
+ * to the group logic, the rest are remote control commands.
+ */
+function routeRemoteMessage(message) {
+  if (message && String(message.MessageType).startsWith('SyncPlay')) {
+    handleSyncPlayMessage(message);
+  } else {
+    handleRemoteMessage(message);
+  }
+}
+
+/**
+ * Credits that run to the end of the file mean the item has been watched,
+ * even when they take up more than the last 5% of it, and the autoplay
+ * manager can start "Up next" right away. Credits with more to come after
+ * them (a stinger, a cold-open outro) leave that to the usual threshold.
+ */
+function handleCreditsSegment({ itemId, start, runsToEnd }) {
+  if (!runsToEnd) {
+    return;
+  }
+
+  markSessionWatched(itemId);
+  handleCreditsStart(itemId, start);
+}
+
+const { loadOverlay, loadTrickplay, clearTrickplay, handleSeekingChange } = createTrickplayManager({
+  mpv,
+  http,
+  utils,
+  file,
+  overlay,
+  preferences,
+  fetchItemMetadata,
+  log: debugLog,
+});
+
+const { loadChapters, clearChapters, nextChapter, previousChapter, handleChapterChange } =
+  createChaptersManager({
+    core,
+    mpv,
+    preferences,
+    ticksToSeconds,
     log: debugLog,
   });
 
 const {
   setVideoTitleFromMetadata,
   downloadAllSubtitles,
+  downloadExternalSubtitle,
+  burnInSubtitle,
   manualDownloadSubtitles,
   manualSetTitle,
   updateFromFileUrl,
+  getCurrentJellyfinInfo,
+  restoreSubtitleSettings,
+  saveSubtitleSettings,
+  flushSubtitleSettings,
+  resetSubtitleSettings,
 } = createMediaActionsManager({
   core,
   http,
   utils,
+  file,
   preferences,
   mpv,
   parseJellyfinUrl,
   isJellyfinUrl,
   fetchPlaybackInfo,
   fetchItemMetadata,
+  selectMediaSource,
+  requestBurnInUrl,
+  reopenAtPosition,
+  getSelectedStreamIndex,
+  selectTrackByStreamIndex,
+  loadChapters,
+  log: debugLog,
+});
+
+const { togglePlayed, toggleFavorite } = createUserDataManager({
+  core,
+  http,
+  buildJellyfinHeaders,
+  fetchItemMetadata,
+  settleSessionWatched,
+  log: debugLog,
+});
+
+const { searchRemoteSubtitles, downloadRemoteSubtitle } = createRemoteSubtitlesManager({
+  core,
+  http,
+  preferences,
+  buildJellyfinHeaders,
+  fetchPlaybackInfo,
+  selectMediaSource,
+  getCurrentJellyfinInfo,
+  downloadExternalSubtitle,
+  showSidebar: () => showJellyfinBrowser(),
+  notifyViews,
+  log: debugLog,
+});
+
+const { loadLyrics, clearLyrics, getLyricsState } = createLyricsManager({
+  core,
+  http,
+  utils,
+  file,
+  preferences,
+  buildJellyfinHeaders,
+  fetchItemMetadata,
+  ticksToSeconds,
+  notifyViews,
+  log: debugLog,
+});
+
+const {
+  rememberQueueItems,
+  getQueueState,
+  getNowPlayingQueue,
+  notifyQueueChanged,
+  addToQueue,
+  moveQueueItem,
+  removeQueueItem,
+  playQueueItem,
+} = createPlayQueueManager({
+  mpv,
+  core,
+  resolveStreamUrl,
+  itemIdFromStreamUrl,
+  playMediaList: (items) => handlePlayMediaList({ items }),
+  // The Queue tab is in the standalone browser too
+  notifyViews,
+  log: debugLog,
+});
+
+const { startInstantMix, stopInstantMix, topUpInstantMix } = createInstantMixManager({
+  mpv,
+  http,
+  buildJellyfinHeaders,
+  parseJellyfinUrl,
+  addToQueue,
   log: debugLog,
 });
 
@@ -148,67 +390,138 @@ function isSameJellyfinHost(left, right) {
   return leftHost.length > 0 && leftHost === hostOf(right);
 }
 
+/**
+ * Decide which credentials playback reporting (progress/resume/watched)
+ * should use. By default it's the api_key embedded in the playing URL, so
+ * it records into whoever owns that key. When "use_connected_account" is on
+ * and a server is logged in via the Jellyfin browser sidebar, report to
+ * that account instead — the item id still comes from the URL, only the
+ * server + token change. This lets several people open the SAME shared link
+ * (e.g. over Syncplay) while each records progress into their own account.
+ */
+function getReportingCredentials(jellyfinInfo) {
+  const credentials = { serverBase: jellyfinInfo.serverBase, apiKey: jellyfinInfo.apiKey };
+  if (!preferences.get('use_connected_account')) {
+    return credentials;
+  }
+
+  const session = getStoredJellyfinSession();
+  if (!session || !session.accessToken) {
+    debugLog('Connected-account mode ON but no logged-in server; falling back to URL api_key');
+    return credentials;
+  }
+
+  // Only the credentials may change, never the item id — reporting a
+  // URL's item to a different server would 404 on every request.
+  if (!isSameJellyfinHost(session.serverUrl, jellyfinInfo.serverBase)) {
+    debugLog(
+      `Connected-account mode ON but the logged-in server (${session.serverUrl}) is not the one in the URL (${jellyfinInfo.serverBase}); using URL api_key`
+    );
+    return credentials;
+  }
+
+  debugLog(
+    `Connected-account mode: reporting as ${session.username || session.serverName} @ ${session.serverUrl} (ignoring URL api_key)`
+  );
+  return { serverBase: session.serverUrl, apiKey: session.accessToken };
+}
+
+/**
+ * The playing item, with the credentials its watched and favourite state
+ * belong to, or null when nothing from Jellyfin is playing.
+ */
+function getCurrentUserDataTarget() {
+  const jellyfinInfo = getCurrentJellyfinInfo();
+  if (!jellyfinInfo) {
+    return null;
+  }
+  return { ...getReportingCredentials(jellyfinInfo), itemId: jellyfinInfo.itemId };
+}
+
 /**
  * Handle file loaded event
  */
-function onFileLoaded(fileUrl) {
+function onFileLoaded(loadedUrl) {
+  // mpv's path is the playlist entry actually playing. The URL IINA passes
+  // along can still be the one it opened when mpv moves on through a queue by
+  // itself, which made every later track report as the first one.
+  let fileUrl = loadedUrl;
+  try {
+    fileUrl = mpv.getString('path') || loadedUrl;
+  } catch (error) {
+    debugLog(`Could not read the playing path: ${error.message}`);
+  }
   debugLog(`File loaded: ${fileUrl}`);
 
-  // The first item of a queued list is playing now, so the rest can be added
-  flushPendingPlaylistQueue(fileUrl);
+  // The first item of a queued list is playing now, so the rest can be added;
+  // an Instant Mix is topped up once the list it started with is all there
+  flushPendingPlaylistQueue(fileUrl).then(topUpInstantMix);
 
   // Stop any existing playback tracking from previous file
   stopPlaybackTracking();
 
+  // Metadata is looked up afresh for each file: its UserData (resume
+  // position, played state) may have changed since
+  clearItemMetadataCache();
+
+  // Segments, chapters, trickplay images and lyrics belong to the file that
+  // just ended
+  clearSegments();
+  clearChapters();
+  clearTrickplay();
+  clearLyrics();
+
+  // So does its transcode, if it had one
+  stopActiveTranscode();
+
   const jellyfinInfo = updateFromFileUrl(fileUrl);
+  setActiveTranscode(jellyfinInfo);
+  handleSyncPlayFileLoaded(jellyfinInfo);
   if (jellyfinInfo) {
-    // Decide which credentials playback reporting (progress/resume/watched)
-    // should use. By default it's the api_key embedded in the playing URL, so
-    // it records into whoever owns that key. When "use_connected_account" is on
-    // and a server is logged in via the Jellyfin browser sidebar, report to
-    // that account instead — the item id still comes from the URL, only the
-    // server + token change. This lets several people open the SAME shared link
-    // (e.g. over Syncplay) while each records progress into their own account.
-    let reportServerBase = jellyfinInfo.serverBase;
-    let reportApiKey = jellyfinInfo.apiKey;
-    if (preferences.get('use_connected_account')) {
-      const session = getStoredJellyfinSession();
-      if (session && session.accessToken) {
-        // Only the credentials may change, never the item id — reporting a
-        // URL's item to a different server would 404 on every request.
-        if (isSameJellyfinHost(session.serverUrl, jellyfinInfo.serverBase)) {
-          reportServerBase = session.serverUrl;
-          reportApiKey = session.accessToken;
-          debugLog(
-            `Connected-account mode: reporting as ${session.username || session.serverName} @ ${reportServerBase} (ignoring URL api_key)`
-          );
-        } else {
-          debugLog(
-            `Connected-account mode ON but the logged-in server (${session.serverUrl}) is not the one in the URL (${jellyfinInfo.serverBase}); using URL api_key`
-          );
-        }
+    const { serverBase: reportServerBase, apiKey: reportApiKey } =
+      getReportingCredentials(jellyfinInfo);
+    const requestedStart = consumeIgnoreResume(jellyfinInfo.itemId);
+    // In connected-account mode the URL's key is not stored for auto-login
+    if (!preferences.get('use_connected_account')) {
+      if (preferences.get('auto_login_enabled')) {
+        // Default behaviour: remember this URL's session for auto-login.
+        storeJellyfinSession(jellyfinInfo.serverBase, jellyfinInfo.apiKey);
       } else {
-        debugLog('Connected-account mode ON but no logged-in server; falling back to URL api_key');
+        debugLog('Auto-login from Jellyfin URLs disabled, not storing the URL credentials');
       }
-    } else if (preferences.get('auto_login_enabled')) {
-      // Default behaviour: remember this URL's session for auto-login.
-      storeJellyfinSession(jellyfinInfo.serverBase, jellyfinInfo.apiKey);
-    } else {
-      debugLog('Auto-login from Jellyfin URLs disabled, not storing the URL credentials');
     }
 
     // Start playback tracking for progress sync
     if (preferences.get('sync_playback_progress')) {
       debugLog(`Starting playback tracking for: ${jellyfinInfo.itemId}`);
-      startPlaybackTracking(reportServerBase, jellyfinInfo.itemId, reportApiKey);
+      startPlaybackTracking(reportServerBase, jellyfinInfo.itemId, reportApiKey, {
+        mediaSourceId: jellyfinInfo.mediaSourceId,
+        playSessionId: jellyfinInfo.playSessionId,
+        playMethod: jellyfinInfo.playMethod,
+        liveStreamId: jellyfinInfo.liveStreamId,
+        // In a SyncPlay group the group decides the position
+        skipResume: isInGroup(),
+        ignoreResumePosition: Boolean(requestedStart),
+      });
     }
 
-    // Set video title from metadata if enabled
-    if (preferences.get('set_video_title')) {
-      debugLog(`Setting video title from metadata for: ${jellyfinInfo.itemId}`);
+    if (requestedStart && requestedStart.position > 0 && !isInGroup()) {
+      debugLog(`Starting at the requested ${requestedStart.position.toFixed(1)}s`);
+      core.seekTo(requestedStart.position);
+    }
+
+    // Intro/credits markers for the skip prompt and "Up next" timing
+    loadSegmentsForItem(jellyfinInfo.serverBase, jellyfinInfo.itemId, jellyfinInfo.apiKey);
+
+    // Set video title and chapters from metadata if enabled
+    if (preferences.get('set_video_title') || preferences.get('jellyfin_chapters_enabled')) {
+      debugLog(`Setting video title and chapters from metadata for: ${jellyfinInfo.itemId}`);
       setVideoTitleFromMetadata(jellyfinInfo.serverBase, jellyfinInfo.itemId, jellyfinInfo.apiKey);
     }
 
+    // Seek previews, since IINA cannot make thumbnails of a remote stream
+    loadTrickplay(jellyfinInfo);
+
     // Setup autoplay for TV episodes if enabled
     if (preferences.get('autoplay_next_episode')) {
       debugLog(`Setting up autoplay for episode (itemId): ${jellyfinInfo.itemId}`);
@@ -217,12 +530,27 @@ function onFileLoaded(fileUrl) {
     }
 
     // Only auto-download if enabled
+    let subtitlesLoaded = Promise.resolve();
     if (preferences.get('auto_download_enabled')) {
       debugLog(`Auto-downloading subtitles for: ${jellyfinInfo.itemId}`);
-      downloadAllSubtitles(jellyfinInfo.serverBase, jellyfinInfo.itemId, jellyfinInfo.apiKey);
+      subtitlesLoaded = downloadAllSubtitles(
+        jellyfinInfo.serverBase,
+        jellyfinInfo.itemId,
+        jellyfinInfo.apiKey,
+        jellyfinInfo.mediaSourceId,
+        jellyfinInfo.playMethod
+      );
     } else {
       debugLog('Auto download disabled, but Jellyfin URL stored for manual download');
     }
+
+    // Tracks are picked once the downloaded subtitles are there to pick from;
+    // what the user set for this item before goes on top of that choice.
+    // Synced lyrics come last, so no track choice switches them off again.
+    subtitlesLoaded
+      .then(() => applyTrackSelection(jellyfinInfo))
+      .then(() => restoreSubtitleSettings(jellyfinInfo))
+      .then(() => loadLyrics(jellyfinInfo));
   }
 }
 
@@ -264,6 +592,20 @@ function showJellyfinBrowser() {
   openJellyfinStandaloneWindow(sessionData);
 }
 
+/**
+ * The standalone browser has no socket of its own, but SyncPlay groups can
+ * still be joined from it: the server sends their commands to the sidebar's
+ * socket, which shares the device id. It is told which server that socket is
+ * on, so it only offers SyncPlay there.
+ */
+function postStandaloneRemoteControlConfig() {
+  const remoteServer = getRemoteServer();
+  standaloneWindow.postMessage('remote-control-config', {
+    enabled: false,
+    syncPlayServerUrl: remoteServer ? remoteServer.serverUrl : null,
+  });
+}
+
 /**
  * Open Jellyfin browser in a standalone window
  */
@@ -305,6 +647,28 @@ function openJellyfinStandaloneWindow(sessionData) {
       standaloneWindow.close();
     });
 
+    standaloneWindow.onMessage('play-live-channel', (data) => {
+      handlePlayLiveChannel(data);
+      standaloneWindow.close();
+    });
+
+    // Queueing leaves the window open: the user is still picking things
+    standaloneWindow.onMessage('get-play-queue', () => {
+      standaloneWindow.postMessage('play-queue', getQueueState());
+    });
+    standaloneWindow.onMessage('queue-media', (data) => {
+      addToQueue(data && data.items, { playNext: Boolean(data && data.playNext) });
+    });
+    standaloneWindow.onMessage('move-queue-item', (data) => {
+      if (data) moveQueueItem(data.from, data.to);
+    });
+    standaloneWindow.onMessage('remove-queue-item', (data) => {
+      if (data) removeQueueItem(data.index);
+    });
+    standaloneWindow.onMessage('play-queue-item', (data) => {
+      if (data) playQueueItem(data.index);
+    });
+
     standaloneWindow.onMessage('clear-session', () => {
       clearJellyfinSession();
     });
@@ -348,6 +712,26 @@ function openJellyfinStandaloneWindow(sessionData) {
       }
     });
 
+    standaloneWindow.onMessage('item-played-changed', (data) => {
+      if (data && data.itemId) settleSessionWatched(data.itemId);
+    });
+
+    standaloneWindow.onMessage('get-library-view', (data) => {
+      if (data && data.serverUrl) {
+        standaloneWindow.postMessage('library-view', {
+          serverUrl: data.serverUrl,
+          userId: data.userId || '',
+          viewId: getLibraryView(data.serverUrl, data.userId),
+        });
+      }
+    });
+
+    standaloneWindow.onMessage('store-library-view', (data) => {
+      if (data && data.serverUrl) {
+        setLibraryView(data.serverUrl, data.userId, data.viewId);
+      }
+    });
+
     standaloneWindow.onMessage('open-external-url', (data) => {
       if (data && data.url) {
         debugLog(`Opening external URL from standalone: ${data.url}`);
@@ -359,6 +743,26 @@ function openJellyfinStandaloneWindow(sessionData) {
       }
     });
 
+    // The sidebar's socket is this player's one connection for remote
+    // control: a second with the same device id would replace it on the
+    // server, so the standalone browser never opens its own.
+    standaloneWindow.onMessage('get-remote-control', postStandaloneRemoteControlConfig);
+
+    standaloneWindow.onMessage('search-remote-subtitles', (data) => {
+      searchRemoteSubtitles(data && data.language);
+    });
+    standaloneWindow.onMessage('download-remote-subtitle', (data) => {
+      downloadRemoteSubtitle(data && data.subtitleId);
+    });
+
+    standaloneWindow.onMessage('get-lyrics', () => {
+      standaloneWindow.postMessage('lyrics', getLyricsState());
+    });
+
+    standaloneWindow.onMessage('get-syncplay-state', () => {
+      standaloneWindow.postMessage('syncplay-state', getSyncPlayState());
+    });
+
     // Open the window
     standaloneWindow.open();
 
@@ -390,7 +794,37 @@ function openJellyfinStandaloneWindow(sessionData) {
 
 // Menu items
 menu.addItem(menu.item('Download Jellyfin Subtitles', manualDownloadSubtitles));
+menu.addItem(menu.item('Search Jellyfin Subtitles', () => searchRemoteSubtitles()));
+menu.addItem(menu.item('Burn In Jellyfin Subtitle', burnInSubtitle));
+menu.addItem(menu.item('Reset Jellyfin Subtitle Settings', resetSubtitleSettings));
 menu.addItem(menu.item('Set Jellyfin Title', manualSetTitle));
+menu.addItem(
+  menu.item('Skip Jellyfin Segment', skipCurrentSegment, { keyBinding: 'Meta+Shift+k' })
+);
+menu.addItem(
+  menu.item('Resume Jellyfin Playback', resumeFromPrompt, { keyBinding: 'Meta+Shift+r' })
+);
+menu.addItem(
+  menu.item('Start Jellyfin Playback Over', startOverFromPrompt, { keyBinding: 'Meta+Shift+b' })
+);
+menu.addItem(
+  menu.item('Show Jellyfin Lyrics', () => {
+    const state = getLyricsState();
+    if (!state) {
+      core.osd('No lyrics for this item');
+      return;
+    }
+    showJellyfinBrowser();
+    sidebar.postMessage('lyrics', state);
+  })
+);
+menu.addItem(menu.item('Toggle Jellyfin Watched', () => togglePlayed(getCurrentUserDataTarget())));
+menu.addItem(
+  menu.item('Toggle Jellyfin Favourite', () => toggleFavorite(getCurrentUserDataTarget()))
+);
+menu.addItem(menu.item('Next Jellyfin Chapter', nextChapter));
+menu.addItem(menu.item('Previous Jellyfin Chapter', previousChapter));
+menu.addItem(menu.item('Show SyncPlay Group', showParticipants));
 menu.addItem(
   menu.item(
     'Show Jellyfin Browser',
@@ -455,6 +889,8 @@ function openInCurrentWindow(streamUrl, title) {
   // Clear any previous playlist entries to prevent stale titles. IINA's
   // playlist API has no clear(), so use mpv's own command — it drops every
   // entry except the one currently playing, which core.open replaces below.
+  // Whatever plays now is not part of a running Instant Mix either.
+  stopInstantMix();
   try {
     mpv.command('playlist-clear', []);
     // Reset autoplay state when starting new playback
@@ -476,11 +912,54 @@ function openInCurrentWindow(streamUrl, title) {
 let pendingPlaylistQueue = null;
 const PENDING_QUEUE_TTL_MS = 60000;
 
+// An item opened at a position of its own ("Play from start" in the sidebar,
+// reopening for a subtitle burn-in, a remote Play with a start position),
+// checked when that item's file loads. A position to seek to is kept with it.
+let pendingIgnoreResume = null;
+
+function itemIdFromStreamUrl(streamUrl) {
+  // Playback URLs are /Videos/{id}/stream or /Audio/{id}/stream; /Items/ is
+  // still matched for links produced by earlier versions.
+  return (String(streamUrl).match(/\/(?:Items|Videos|Audio)\/([^/?]+)/i) || [])[1] || null;
+}
+
+/**
+ * The start the file that just loaded was opened with, instead of its resume
+ * position, or null. The request is used up either way, so it cannot leak
+ * into a later file.
+ */
+function consumeIgnoreResume(itemId) {
+  if (!pendingIgnoreResume) {
+    return null;
+  }
+
+  const request = pendingIgnoreResume;
+  pendingIgnoreResume = null;
+
+  return Date.now() - request.at <= PENDING_QUEUE_TTL_MS && request.itemId === itemId
+    ? request
+    : null;
+}
+
+/**
+ * Replace the playing file with another stream of the same item (e.g. a
+ * transcode with burned-in subtitles) and carry on where playback was.
+ */
+function reopenAtPosition(streamUrl, position) {
+  if (getCurrentPlaybackSession()) {
+    markReplacingPlayback();
+  }
+
+  pendingIgnoreResume = { itemId: itemIdFromStreamUrl(streamUrl), at: Date.now() };
+  // force-media-title is still set from the file being replaced
+  mpv.command('loadfile', [streamUrl, 'replace', '-1', `start=${Math.floor(position)}`]);
+}
+
 /**
  * Append the items held back by handlePlayMediaList. Called once the first item
  * of the list has actually loaded, so mpv's replacing load cannot discard them.
  */
-function flushPendingPlaylistQueue(fileUrl) {
+async function flushPendingPlaylistQueue(fileUrl) {
   if (!pendingPlaylistQueue) {
     return;
   }
@@ -504,7 +983,7 @@ function flushPendingPlaylistQueue(fileUrl) {
     // loadfile carries per-file options, so each queued entry keeps its own
     // title instead of showing a raw URL in the playlist.
     for (const item of items) {
-      const args = [item.streamUrl, 'append'];
+      const args = [await resolveStreamUrl(item.streamUrl), 'append'];
       if (item.title) {
         args.push('-1', `force-media-title=${item.title}`);
       }
@@ -521,7 +1000,7 @@ function flushPendingPlaylistQueue(fileUrl) {
  * A playlist only exists within one window, so this always plays in the
  * current window regardless of the open_in_new_window preference.
  */
-function handlePlayMediaList(message) {
+async function handlePlayMediaList(message) {
   const items = (message?.items || []).filter((item) => item && item.streamUrl);
   debugLog(`handlePlayMediaList called with ${items.length} playable item(s)`);
 
@@ -532,6 +1011,8 @@ function handlePlayMediaList(message) {
   }
 
   const [firstItem, ...queuedItems] = items;
+  // So the sidebar queue can show them with their Jellyfin details
+  rememberQueueItems(items);
 
   try {
     if (queuedItems.length > 0) {
@@ -545,14 +1026,17 @@ function handlePlayMediaList(message) {
     // playing (PlayerCore.open: it stores pendingUrl and closes the window
     // first), and that load replaces the playlist — appending now would be
     // wiped out a moment later.
-    // Playback URLs are /Videos/{id}/stream or /Audio/{id}/stream; /Items/ is
-    // still matched for links produced by earlier versions.
-    const firstItemId =
-      (String(firstItem.streamUrl).match(/\/(?:Items|Videos|Audio)\/([^/?]+)/) || [])[1] || null;
+    const firstItemId = itemIdFromStreamUrl(firstItem.streamUrl);
     pendingPlaylistQueue =
       queuedItems.length > 0 ? { items: queuedItems, at: Date.now(), itemId: firstItemId } : null;
+    pendingIgnoreResume =
+      firstItem.startPosition > 0
+        ? { itemId: firstItemId, at: Date.now(), position: firstItem.startPosition }
+        : null;
 
-    openInCurrentWindow(firstItem.streamUrl, firstItem.title);
+    openInCurrentWindow(await resolveStreamUrl(firstItem.streamUrl), firstItem.title);
+    // "Instant Mix" lists keep going: more is fetched as the queue runs low
+    startInstantMix(message.instantMix, items);
 
     debugLog(`Holding ${queuedItems.length} item(s) until the first one loads`);
   } catch (error) {
@@ -564,17 +1048,33 @@ function handlePlayMediaList(message) {
 /**
  * Handle media playback requests from sidebar
  */
-function handlePlayMedia(message) {
+async function handlePlayMedia(message) {
   debugLog('HANDLE PLAY MEDIA CALLED');
   debugLog('handlePlayMedia called with message', {
     title: message?.title,
     streamUrl: message?.streamUrl,
+    // Also part of streamUrl, which is what tracking and subtitles read it from
+    mediaSourceId: message?.mediaSourceId,
+    startFromBeginning: message?.startFromBeginning,
   });
-  const { streamUrl, title } = message;
-  debugLog(`Opening media: ${title} - ${streamUrl}`);
+  const { title } = message;
 
   try {
-    const openInNewWindow = preferences.get('open_in_new_window');
+    const position = message.startPosition > 0 ? message.startPosition : 0;
+    pendingIgnoreResume =
+      message.startFromBeginning || position > 0
+        ? { itemId: itemIdFromStreamUrl(message.streamUrl), at: Date.now(), position }
+        : null;
+
+    // In transcoding mode the server may hand back an HLS URL to open instead
+    const streamUrl = await resolveStreamUrl(message.streamUrl);
+    debugLog(`Opening media: ${title} - ${streamUrl}`);
+
+    // A transcode stays in this window: a new instance runs without plugins,
+    // so nothing there would report it or stop the server's encoder
+    const isTranscode = streamUrl !== message.streamUrl;
+    const openInNewWindow =
+      !message.inCurrentWindow && !isTranscode && preferences.get('open_in_new_window');
     debugLog('open_in_new_window preference: ' + openInNewWindow);
 
     if (openInNewWindow) {
@@ -592,7 +1092,38 @@ function handlePlayMedia(message) {
     core.osd('Failed to open media');
 
     // No clipboard API is exposed to plugins, so the URL only goes to the log
-    debugLog(`URL that failed to open: ${streamUrl}`);
+    debugLog(`URL that failed to open: ${message.streamUrl}`);
+  }
+}
+
+/**
+ * Live TV channels have nothing to stream until the server tunes in, so the
+ * sidebar sends the channel and the URL comes from opening a live stream.
+ */
+async function handlePlayLiveChannel(message) {
+  const { serverUrl, accessToken, userId, channelId } = message || {};
+  const title = (message && message.title) || 'Live TV';
+  if (!serverUrl || !accessToken || !channelId) {
+    debugLog('Live TV channel message is missing the server or channel');
+    return;
+  }
+
+  try {
+    core.osd(`Tuning in: ${title}`);
+    const streamUrl = await openLiveStream(
+      serverUrl.replace(/\/$/, ''),
+      channelId,
+      accessToken,
+      userId
+    );
+    debugLog(`Opening live stream: ${title} - ${streamUrl}`);
+
+    // Always this window, whatever open_in_new_window says: a new instance
+    // runs without plugins, so nothing there would close the live stream
+    openInCurrentWindow(streamUrl, title);
+  } catch (error) {
+    debugLog(`Error opening live stream: ${error.message}`);
+    core.osd('Failed to tune in to the channel');
   }
 }
 
@@ -606,8 +1137,37 @@ event.on('iina.file-loaded', onFileLoaded);
 // Pause/unpause state sync
 event.on('mpv.pause.changed', handlePauseChange);
 
+// Audio/subtitle switches, reported so Jellyfin remembers them
+event.on('mpv.aid.changed', handleTrackChange);
+event.on('mpv.sid.changed', handleTrackChange);
+
+// Chapter names in the OSD
+event.on('mpv.chapter.changed', handleChapterChange);
+
+// The sidebar's queue mirrors the mpv playlist
+event.on('mpv.playlist-count.changed', notifyQueueChanged);
+event.on('mpv.playlist-pos.changed', notifyQueueChanged);
+
+// Trickplay preview of where a seek lands
+event.on('mpv.seeking.changed', handleSeekingChange);
+
+// Subtitle fixes are kept per item and applied the next time it plays
+event.on('mpv.sid.changed', saveSubtitleSettings);
+event.on('mpv.sub-delay.changed', saveSubtitleSettings);
+event.on('mpv.sub-scale.changed', saveSubtitleSettings);
+
+// SyncPlay: the user's own pause, seek and buffering go to the group
+event.on('mpv.pause.changed', handleLocalPauseChange);
+event.on('mpv.seeking.changed', () => {
+  if (!mpv.getFlag('seeking')) {
+    handleLocalSeek();
+  }
+});
+event.on('mpv.paused-for-cache.changed', handleBufferingChange);
+
 // Handle file ending (includes both natural end and replacement)
 event.on('mpv.end-file', () => {
+  flushSubtitleSettings();
   const queuedForAutoplay = isQueued();
   const isReplacingPlayback = consumeReplacementGuard();
   debugLog(
@@ -629,6 +1189,7 @@ event.on('mpv.end-file', () => {
     return;
   }
   stopPlaybackTracking();
+  stopActiveTranscode();
 });
 
 // Reaching the end marks the item watched from the playback tracking tick.
@@ -638,22 +1199,87 @@ event.on('mpv.end-file', () => {
 // Stop tracking when window closes
 event.on('iina.window-will-close', () => {
   debugLog('Window closing, stopping playback tracking');
+  flushSubtitleSettings();
   stopPlaybackTracking();
+  clearSegments();
+  clearChapters();
+  clearTrickplay();
+  clearLyrics();
+  stopActiveTranscode();
 });
 
 // Ensure we report stop on app termination
 event.on('iina.application-will-terminate', () => {
   debugLog('Application terminating, stopping playback tracking');
+  flushSubtitleSettings();
   stopPlaybackTracking();
+  stopActiveTranscode();
 });
 
-// Initialize sidebar when window is loaded
+// Initialize sidebar and seek preview overlay when window is loaded
 event.on('iina.window-loaded', () => {
   sidebar.loadFile('src/ui/sidebar/index.html');
+  loadOverlay();
 
   // Set up message handler for sidebar playback requests
   sidebar.onMessage('play-media', handlePlayMedia);
   sidebar.onMessage('play-media-list', handlePlayMediaList);
+  sidebar.onMessage('play-live-channel', handlePlayLiveChannel);
+
+  // Remote control: the sidebar holds the Jellyfin WebSocket and forwards the
+  // commands other clients send to this player.
+  sidebar.onMessage('get-remote-control', () => {
+    sidebar.postMessage('remote-control-config', {
+      enabled: Boolean(preferences.get('remote_control_enabled')),
+    });
+  });
+
+  sidebar.onMessage('remote-control-connected', (data) => {
+    if (data && data.serverUrl && data.accessToken) {
+      registerCapabilities(data.serverUrl, data.accessToken);
+      postStandaloneRemoteControlConfig();
+    }
+  });
+
+  sidebar.onMessage('remote-control-disconnected', () => {
+    handleDisconnected();
+    resetGroup();
+    postStandaloneRemoteControlConfig();
+  });
+  sidebar.onMessage('remote-control-message', routeRemoteMessage);
+
+  // Remote subtitle search, started from the menu and continued in the sidebar
+  sidebar.onMessage('search-remote-subtitles', (data) => {
+    searchRemoteSubtitles(data && data.language);
+  });
+  sidebar.onMessage('download-remote-subtitle', (data) => {
+    downloadRemoteSubtitle(data && data.subtitleId);
+  });
+
+  // Queue tab: "Play next" / "Add to queue", drag reordering and removal
+  sidebar.onMessage('get-play-queue', () => {
+    sidebar.postMessage('play-queue', getQueueState());
+  });
+  sidebar.onMessage('queue-media', (data) => {
+    addToQueue(data && data.items, { playNext: Boolean(data && data.playNext) });
+  });
+  sidebar.onMessage('move-queue-item', (data) => {
+    if (data) moveQueueItem(data.from, data.to);
+  });
+  sidebar.onMessage('remove-queue-item', (data) => {
+    if (data) removeQueueItem(data.index);
+  });
+  sidebar.onMessage('play-queue-item', (data) => {
+    if (data) playQueueItem(data.index);
+  });
+
+  sidebar.onMessage('get-lyrics', () => {
+    sidebar.postMessage('lyrics', getLyricsState());
+  });
+
+  sidebar.onMessage('get-syncplay-state', () => {
+    sidebar.postMessage('syncplay-state', getSyncPlayState());
+  });
 
   // The webview cannot read preferences, so it asks for the shared Jellyfin
   // client identity (device id + version) it must authenticate with.
@@ -712,6 +1338,27 @@ event.on('iina.window-loaded', () => {
     }
   });
 
+  // Watched state set by hand in the browser, see togglePlayed
+  sidebar.onMessage('item-played-changed', (data) => {
+    if (data && data.itemId) settleSessionWatched(data.itemId);
+  });
+
+  sidebar.onMessage('get-library-view', (data) => {
+    if (data && data.serverUrl) {
+      sidebar.postMessage('library-view', {
+        serverUrl: data.serverUrl,
+        userId: data.userId || '',
+        viewId: getLibraryView(data.serverUrl, data.userId),
+      });
+    }
+  });
+
+  sidebar.onMessage('store-library-view', (data) => {
+    if (data && data.serverUrl) {
+      setLibraryView(data.serverUrl, data.userId, data.viewId);
+    }
+  });
+
   // Handle external URL opening requests from sidebar
   sidebar.onMessage('open-external-url', (data) => {
     if (data && data.url) {
@@ -7,12 +7,19 @@ function createAutoplayManager({
   preferences,
   buildJellyfinHeaders,
   fetchItemMetadata,
+  resolveStreamUrl,
   log,
 }) {
   let lastProcessedEpisodeId = null;
   let lastProcessedSeriesId = null;
   let autoplayRequestCounter = 0;
   let autoplayQueued = false;
+  let queuedEpisodeTitle = null;
+  let creditsAdvanceTimer = null;
+
+  // Delay between announcing "Up next" at the credits and moving on, so the
+  // switch is not a surprise.
+  const UP_NEXT_CREDITS_DELAY = 5000;
 
   async function fetchSeriesEpisodes(serverBase, seriesId, seasonId, apiKey) {
     try {
@@ -221,6 +228,7 @@ function createAutoplayManager({
       ]);
 
       autoplayQueued = true;
+      queuedEpisodeTitle = episodeTitle;
 
       log(`Queued next episode: ${episodeTitle}`);
 
@@ -289,6 +297,14 @@ function createAutoplayManager({
           return;
         }
 
+        // In transcoding mode the queued entry has to be a transcode as well
+        nextEpisode.playUrl = await resolveStreamUrl(nextEpisode.playUrl);
+
+        if (thisRequestId !== autoplayRequestCounter) {
+          log(`Autoplay request #${thisRequestId} is stale after resolving its stream, aborting`);
+          return;
+        }
+
         // ?? rather than ||: season 0 is a real season number
         const seasonNum = nextEpisode.seasonNumber ?? seriesInfo.seasonNumber;
         queueNextEpisode(nextEpisode, seriesInfo.seriesName, seasonNum);
@@ -300,15 +316,63 @@ function createAutoplayManager({
     })();
   }
 
+  /**
+   * Credits of the playing episode have started (known from its media
+   * segments). With the next episode already queued, "Up next" starts now
+   * instead of waiting for the end of the file.
+   */
+  function handleCreditsStart(episodeId, creditsStart) {
+    if (!preferences.get('autoplay_next_episode') || !preferences.get('autoplay_at_credits')) {
+      return false;
+    }
+
+    if (!autoplayQueued || lastProcessedEpisodeId !== episodeId) {
+      log(`Credits started for ${episodeId}, but no next episode is queued for it`);
+      return false;
+    }
+
+    cancelCreditsAdvance();
+    core.osd(`Up next: ${queuedEpisodeTitle}`);
+    log(`Credits started at ${creditsStart.toFixed(1)}s, advancing to the next episode`);
+
+    creditsAdvanceTimer = setTimeout(() => {
+      creditsAdvanceTimer = null;
+      try {
+        // The user may have seeked back out of the credits, or opened
+        // something else, while the notice was showing.
+        const position = core.status.position;
+        if (!autoplayQueued || lastProcessedEpisodeId !== episodeId || position < creditsStart) {
+          log('Playback left the credits, not advancing to the next episode');
+          return;
+        }
+        mpv.command('playlist-next', []);
+      } catch (error) {
+        log(`Error advancing at credits: ${error.message}`);
+      }
+    }, UP_NEXT_CREDITS_DELAY);
+
+    return true;
+  }
+
+  function cancelCreditsAdvance() {
+    if (creditsAdvanceTimer) {
+      clearTimeout(creditsAdvanceTimer);
+      creditsAdvanceTimer = null;
+    }
+  }
+
   function resetForNewFile(episodeId) {
     if (!episodeId || lastProcessedEpisodeId !== episodeId) {
       lastProcessedEpisodeId = null;
     }
     autoplayQueued = false;
+    queuedEpisodeTitle = null;
+    cancelCreditsAdvance();
   }
 
   function clearQueuedFlag() {
     autoplayQueued = false;
+    cancelCreditsAdvance();
   }
 
   function isQueued() {
@@ -317,6 +381,7 @@ function createAutoplayManager({
 
   return {
     setupAutoplayForEpisode,
+    handleCreditsStart,
     resetForNewFile,
     clearQueuedFlag,
     isQueued,
@@ -0,0 +1,153 @@
+'use strict';
+
+// "Previous chapter" this far into a chapter goes back to its start instead,
+// the way mpv's own chapter navigation behaves.
+const RESTART_CHAPTER_THRESHOLD = 3;
+
+/**
+ * Chapters from Jellyfin metadata, for streams whose container has none (or
+ * lost them in a transcode). They are handed to mpv as its chapter list so
+ * IINA's chapter menu and seek bar marks work; when mpv does not accept the
+ * list, the plugin's own next/previous commands still navigate by them.
+ */
+function createChaptersManager({ core, mpv, preferences, ticksToSeconds, log }) {
+  let chapters = [];
+  let currentItemId = null;
+  // Whether mpv navigates the chapters itself (the file's own, or ours)
+  let mpvHasChapters = false;
+  // The next chapter change comes from a command and is always announced
+  let announceChapterChange = false;
+
+  function clearChapters() {
+    chapters = [];
+    currentItemId = null;
+    mpvHasChapters = false;
+    announceChapterChange = false;
+  }
+
+  function loadChapters(itemId, jellyfinChapters) {
+    clearChapters();
+    currentItemId = itemId;
+
+    try {
+      if ((mpv.getNumber('chapter-list/count') || 0) > 0) {
+        log('The file has chapters of its own, not adding Jellyfin chapters');
+        mpvHasChapters = true;
+        return;
+      }
+    } catch (error) {
+      log(`Could not read the chapter list: ${error.message}`);
+    }
+
+    chapters = (jellyfinChapters || [])
+      .map((chapter, index) => ({
+        title: chapter.Name || `Chapter ${index + 1}`,
+        time: ticksToSeconds(chapter.StartPositionTicks || 0),
+      }))
+      .sort((left, right) => left.time - right.time);
+
+    if (chapters.length === 0) {
+      return;
+    }
+
+    try {
+      mpv.set('chapter-list', chapters);
+      mpvHasChapters = (mpv.getNumber('chapter-list/count') || 0) === chapters.length;
+    } catch (error) {
+      log(`mpv did not accept the chapter list: ${error.message}`);
+    }
+
+    log(
+      `Loaded ${chapters.length} Jellyfin chapter(s) for ${itemId}${mpvHasChapters ? '' : ' (plugin navigation only)'}`
+    );
+  }
+
+  function findChapterIndex(position) {
+    let index = -1;
+    chapters.forEach((chapter, i) => {
+      if (chapter.time <= position) index = i;
+    });
+    return index;
+  }
+
+  function seekToChapter(index) {
+    const chapter = chapters[index];
+    core.seekTo(chapter.time);
+    core.osd(`Chapter: ${chapter.title}`);
+  }
+
+  function stepChapter(direction) {
+    if (mpvHasChapters) {
+      announceChapterChange = true;
+      mpv.command('add', ['chapter', String(direction)]);
+      return;
+    }
+
+    if (chapters.length === 0) {
+      core.osd('No chapters');
+      return;
+    }
+
+    const position = core.status.position || 0;
+    const index = findChapterIndex(position);
+
+    if (direction > 0) {
+      if (index + 1 >= chapters.length) {
+        core.osd('Last chapter');
+        return;
+      }
+      seekToChapter(index + 1);
+      return;
+    }
+
+    if (index >= 0 && position - chapters[index].time > RESTART_CHAPTER_THRESHOLD) {
+      seekToChapter(index);
+    } else {
+      seekToChapter(Math.max(0, index - 1));
+    }
+  }
+
+  function nextChapter() {
+    stepChapter(1);
+  }
+
+  function previousChapter() {
+    stepChapter(-1);
+  }
+
+  /**
+   * mpv moved into another chapter, by playing on or by a command. Chapters
+   * played into are only announced with notifications on.
+   */
+  function handleChapterChange() {
+    if (!currentItemId || !mpvHasChapters) return;
+
+    const announce = announceChapterChange || preferences.get('show_notifications');
+    announceChapterChange = false;
+    if (!announce) return;
+
+    try {
+      const index = mpv.getNumber('chapter');
+      if (index === null || index === undefined || index < 0) return;
+
+      const title = mpv.getString(`chapter-list/${index}/title`);
+      if (title) {
+        core.osd(`Chapter: ${title}`);
+      }
+    } catch (error) {
+      log(`Error reading the current chapter: ${error.message}`);
+    }
+  }
+
+  return {
+    loadChapters,
+    clearChapters,
+    nextChapter,
+    previousChapter,
+    handleChapterChange,
+  };
+}
+
+module.exports = {
+  createChaptersManager,
+};
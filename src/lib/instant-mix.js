@@ -0,0 +1,140 @@
+'use strict';
+
+// Tracks fetched per top-up
+const MIX_BATCH_SIZE = 25;
+// Fetch more once this few tracks are left after the playing one
+const MIX_REFILL_THRESHOLD = 3;
+
+/**
+ * Keeps an Instant Mix going: once the queue is nearly played through, more
+ * of the mix is fetched and appended. Each top-up is seeded from the last
+ * track of the mix, so it drifts along instead of repeating the same list.
+ */
+function createInstantMixManager({
+  mpv,
+  http,
+  buildJellyfinHeaders,
+  parseJellyfinUrl,
+  addToQueue,
+  log,
+}) {
+  let mix = null;
+
+  function stopInstantMix() {
+    if (mix) {
+      log('Instant Mix stopped');
+    }
+    mix = null;
+  }
+
+  function startInstantMix(instantMix, items) {
+    stopInstantMix();
+
+    const info = items && items.length > 0 ? parseJellyfinUrl(items[0].streamUrl) : null;
+    if (!instantMix || !instantMix.seedId || !info) {
+      return;
+    }
+
+    const itemIds = items
+      .map((item) => {
+        const parsed = parseJellyfinUrl(item.streamUrl);
+        return parsed && parsed.itemId;
+      })
+      .filter(Boolean);
+
+    mix = {
+      serverBase: info.serverBase,
+      apiKey: info.apiKey,
+      seedId: instantMix.seedId,
+      lastItemId: itemIds[itemIds.length - 1] || instantMix.seedId,
+      seenIds: new Set(itemIds),
+      refilling: false,
+    };
+    log(`Instant Mix started from ${instantMix.seedId} with ${itemIds.length} track(s)`);
+  }
+
+  async function fetchMixTracks(seedId) {
+    const { serverBase, apiKey } = mix;
+    const response = await http.get(
+      `${serverBase}/Items/${seedId}/InstantMix?limit=${MIX_BATCH_SIZE}&fields=AlbumArtist,Artists,ImageTags&api_key=${apiKey}`,
+      {
+        headers: buildJellyfinHeaders(apiKey, {
+          Accept: 'application/json',
+        }),
+      }
+    );
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`HTTP ${response.statusCode}`);
+    }
+
+    const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    return ((data && data.Items) || []).filter((item) => item.Type === 'Audio');
+  }
+
+  function toQueueEntry(track) {
+    const { serverBase, apiKey } = mix;
+    const imageId = track.ImageTags && track.ImageTags.Primary ? track.Id : track.AlbumId;
+
+    return {
+      streamUrl: `${serverBase}/Audio/${track.Id}/stream?static=true&api_key=${apiKey}`,
+      title: track.Name || 'Unknown Title',
+      artist: (track.Artists && track.Artists.join(', ')) || track.AlbumArtist || '',
+      album: track.Album || '',
+      imageUrl: imageId
+        ? `${serverBase}/Items/${imageId}/Images/Primary?maxWidth=96&quality=90&api_key=${apiKey}`
+        : '',
+    };
+  }
+
+  /**
+   * Called as each track of the playlist loads.
+   */
+  async function topUpInstantMix() {
+    if (!mix || mix.refilling) return;
+
+    const count = mpv.getNumber('playlist-count') || 0;
+    const position = mpv.getNumber('playlist-pos');
+    if (count - position - 1 >= MIX_REFILL_THRESHOLD) return;
+
+    const current = mix;
+    current.refilling = true;
+
+    try {
+      let tracks = (await fetchMixTracks(current.lastItemId)).filter(
+        (track) => !current.seenIds.has(track.Id)
+      );
+      // The last track's mix may be all repeats; the original seed usually is not
+      if (tracks.length === 0 && current.lastItemId !== current.seedId) {
+        tracks = (await fetchMixTracks(current.seedId)).filter(
+          (track) => !current.seenIds.has(track.Id)
+        );
+      }
+      if (mix !== current) return;
+
+      if (tracks.length === 0) {
+        log('Instant Mix has nothing new to add');
+        return;
+      }
+
+      tracks.forEach((track) => current.seenIds.add(track.Id));
+      current.lastItemId = tracks[tracks.length - 1].Id;
+      log(`Instant Mix: adding ${tracks.length} track(s)`);
+      await addToQueue(tracks.map(toQueueEntry), { quiet: true });
+    } catch (error) {
+      log(`Error topping up the Instant Mix: ${error.message}`);
+    } finally {
+      current.refilling = false;
+    }
+  }
+
+  return {
+    startInstantMix,
+    stopInstantMix,
+    topUpInstantMix,
+  };
+}
+
+module.exports = {
+  createInstantMixManager,
+};
@@ -5,6 +5,11 @@ const DEVICE_NAME = 'IINA';
 const CLIENT_VERSION = '0.7.2'; // x-release-please-version
 
 function createJellyfinApi({ http, preferences, log }) {
+  // A file load looks its item up from several places at once (title,
+  // resume position, track selection, trickplay, lyrics, ...). They share one
+  // request per item until the next file loads.
+  let metadataRequests = new Map();
+
   function getDeviceId() {
     let deviceId = preferences.get('jellyfin_device_id');
     if (!deviceId) {
@@ -85,8 +90,9 @@ function createJellyfinApi({ http, preferences, log }) {
 
       // Playback uses the streaming routes (/Videos/{id}/stream,
       // /Audio/{id}/stream); /Items/{id}/... is still accepted so links made by
-      // earlier versions, and Jellyfin download links, keep working.
-      const pathMatch = pathname.match(/\/(?:Items|Videos|Audio)\/([^/]+)/);
+      // earlier versions, and Jellyfin download links, keep working. Transcodes
+      // come back from the server as /videos/{id}/master.m3u8, in lower case.
+      const pathMatch = pathname.match(/\/(?:Items|Videos|Audio)\/([^/]+)/i);
       log(`Path match result: ${pathMatch ? pathMatch[0] : 'no match'}`);
 
       if (!pathMatch) {
@@ -108,8 +114,23 @@ function createJellyfinApi({ http, preferences, log }) {
         }
       }
 
+      // The sidebar adds the chosen version to the stream URL, so tracking and
+      // subtitles follow the same MediaSource wherever the URL is opened.
+      const mediaSourceMatch = queryString.match(/(?:^|&)mediaSourceId=([^&]+)/i);
+      const mediaSourceId = mediaSourceMatch ? decodeURIComponent(mediaSourceMatch[1]) : null;
+
+      // A transcode belongs to the play session the server opened for it, and
+      // reports for it must name that session.
+      const isTranscode = /\.m3u8$/i.test(pathname);
+      const playSessionMatch = queryString.match(/(?:^|&)PlaySessionId=([^&]+)/i);
+      const playSessionId = playSessionMatch ? decodeURIComponent(playSessionMatch[1]) : null;
+
+      // Live TV plays from a live stream the server opened, closed when done
+      const liveStreamMatch = queryString.match(/(?:^|&)LiveStreamId=([^&]+)/i);
+      const liveStreamId = liveStreamMatch ? decodeURIComponent(liveStreamMatch[1]) : null;
+
       log(
-        `Extracted - itemId: ${itemId}, apiKey: ${apiKey ? 'present' : 'missing'}, serverBase: ${serverBase}`
+        `Extracted - itemId: ${itemId}, apiKey: ${apiKey ? 'present' : 'missing'}, serverBase: ${serverBase}, mediaSourceId: ${mediaSourceId || 'default'}`
       );
 
       if (!apiKey) {
@@ -121,6 +142,10 @@ function createJellyfinApi({ http, preferences, log }) {
         serverBase,
         itemId,
         apiKey,
+        mediaSourceId,
+        playSessionId,
+        liveStreamId,
+        playMethod: isTranscode ? 'Transcode' : 'DirectPlay',
       };
     } catch (error) {
       log(`Error parsing Jellyfin URL: ${error.message}`);
@@ -140,8 +165,7 @@ function createJellyfinApi({ http, preferences, log }) {
     return (
       (url.includes('/Items/') && /[?&](?:api_key|apikey|api-key|x-emby-token)=/i.test(url)) ||
       url.includes('jellyfin') ||
-      url.includes('/Audio/') ||
-      url.includes('/Videos/')
+      /\/(?:Audio|Videos)\//i.test(url)
     );
   }
 
@@ -179,7 +203,31 @@ function createJellyfinApi({ http, preferences, log }) {
     }
   }
 
-  async function fetchItemMetadata(serverBase, itemId, apiKey) {
+  /**
+   * The item's metadata, shared with the other lookups since the current file
+   * loaded. `fresh` asks the server again, for UserData that may have changed.
+   */
+  function fetchItemMetadata(serverBase, itemId, apiKey, { fresh = false } = {}) {
+    const key = `${serverBase}|${itemId}|${apiKey}`;
+    if (!fresh && metadataRequests.has(key)) {
+      return metadataRequests.get(key);
+    }
+
+    const requests = metadataRequests;
+    const request = requestItemMetadata(serverBase, itemId, apiKey).catch((error) => {
+      // Not kept, so the next lookup tries again
+      if (requests.get(key) === request) requests.delete(key);
+      throw error;
+    });
+    requests.set(key, request);
+    return request;
+  }
+
+  function clearItemMetadataCache() {
+    metadataRequests = new Map();
+  }
+
+  async function requestItemMetadata(serverBase, itemId, apiKey) {
     try {
       const metadataUrl = `${serverBase}/Items/${itemId}?api_key=${apiKey}`;
       log(`Fetching item metadata from: ${metadataUrl}`);
@@ -212,6 +260,52 @@ function createJellyfinApi({ http, preferences, log }) {
     }
   }
 
+  /**
+   * Playback settings (languages, subtitle mode) of the user the token belongs
+   * to. API keys that are not a user's session have no user, so null then.
+   */
+  async function fetchUserConfiguration(serverBase, apiKey) {
+    try {
+      const response = await http.get(`${serverBase}/Users/Me?api_key=${apiKey}`, {
+        headers: buildJellyfinHeaders(apiKey, {
+          Accept: 'application/json',
+        }),
+      });
+
+      if (response.statusCode >= 400 || !response.data) {
+        log(`No user for this token (status: ${response.statusCode})`);
+        return null;
+      }
+
+      const user = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+      return user.Configuration || null;
+    } catch (error) {
+      log(`Error fetching user configuration: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * The MediaSource being played: the one the URL asked for, or the server's
+   * default (the first) when it did not name one or names one that is gone.
+   */
+  function selectMediaSource(playbackInfo, mediaSourceId) {
+    const mediaSources = (playbackInfo && playbackInfo.MediaSources) || [];
+    if (mediaSources.length === 0) {
+      return null;
+    }
+
+    if (mediaSourceId) {
+      const requested = mediaSources.find((source) => source.Id === mediaSourceId);
+      if (requested) {
+        return requested;
+      }
+      log(`MediaSource ${mediaSourceId} not found, using the default one`);
+    }
+
+    return mediaSources[0];
+  }
+
   function secondsToTicks(seconds) {
     return Math.round(seconds * 10000000);
   }
@@ -227,6 +321,9 @@ function createJellyfinApi({ http, preferences, log }) {
     isJellyfinUrl,
     fetchPlaybackInfo,
     fetchItemMetadata,
+    clearItemMetadataCache,
+    fetchUserConfiguration,
+    selectMediaSource,
     secondsToTicks,
     ticksToSeconds,
   };
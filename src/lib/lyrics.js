@@ -0,0 +1,205 @@
+'use strict';
+
+// How often the current line is worked out for the sidebar panel
+const LYRICS_REFRESH = 500;
+// How long the last synced line stays up when the track length is unknown
+const LAST_LINE_SECONDS = 5;
+
+function formatSrtTime(totalSeconds) {
+  const milliseconds = Math.max(0, Math.round(totalSeconds * 1000));
+  const pad = (value, length) => String(value).padStart(length, '0');
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor((milliseconds % 3600000) / 60000);
+  const seconds = Math.floor((milliseconds % 60000) / 1000);
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)},${pad(milliseconds % 1000, 3)}`;
+}
+
+/**
+ * Lyrics of the audio item being played, from Jellyfin's /Audio/{id}/Lyrics.
+ * Synced lyrics are loaded into mpv as a subtitle track so they follow
+ * playback; the sidebar panel gets every line and which one is current.
+ */
+function createLyricsManager({
+  core,
+  http,
+  utils,
+  file,
+  preferences,
+  buildJellyfinHeaders,
+  fetchItemMetadata,
+  ticksToSeconds,
+  notifyViews,
+  log,
+}) {
+  let lyrics = null;
+  let currentLine = -1;
+  let refreshTimer = null;
+  // The SRT written for the playing track, removed with its lyrics
+  let lyricsTrackPath = null;
+  // Bumped per file, so lyrics still loading for the previous one are dropped
+  let loadCounter = 0;
+
+  function getLyricsState() {
+    if (!lyrics) return null;
+    return { ...lyrics, currentLine };
+  }
+
+  function stopLineTracking() {
+    if (refreshTimer) {
+      clearInterval(refreshTimer);
+      refreshTimer = null;
+    }
+  }
+
+  function clearLyrics() {
+    loadCounter++;
+    stopLineTracking();
+    const hadLyrics = Boolean(lyrics);
+    lyrics = null;
+    currentLine = -1;
+    removeLyricsTrack();
+    if (hadLyrics) {
+      notifyViews('lyrics', null);
+    }
+  }
+
+  function removeLyricsTrack() {
+    if (!lyricsTrackPath) return;
+
+    const localPath = lyricsTrackPath;
+    lyricsTrackPath = null;
+    try {
+      if (file.exists(localPath)) {
+        file.delete(localPath);
+      }
+    } catch (error) {
+      log(`Could not remove ${localPath}: ${error.message}`);
+    }
+  }
+
+  function findCurrentLine(position) {
+    let index = -1;
+    lyrics.lines.forEach((line, i) => {
+      if (line.time !== null && line.time <= position) index = i;
+    });
+    return index;
+  }
+
+  function startLineTracking() {
+    stopLineTracking();
+    refreshTimer = setInterval(() => {
+      if (!lyrics) return;
+
+      const index = findCurrentLine(core.status.position || 0);
+      if (index !== currentLine) {
+        currentLine = index;
+        notifyViews('lyrics-line', { itemId: lyrics.itemId, index });
+      }
+    }, LYRICS_REFRESH);
+  }
+
+  async function fetchLyrics(serverBase, itemId, apiKey) {
+    const response = await http.get(`${serverBase}/Audio/${itemId}/Lyrics?api_key=${apiKey}`, {
+      headers: buildJellyfinHeaders(apiKey, {
+        Accept: 'application/json',
+      }),
+    });
+
+    // 404 is the server saying the track has no lyrics
+    if (response.statusCode === 404) return null;
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`HTTP ${response.statusCode}`);
+    }
+
+    return typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  }
+
+  /**
+   * Synced lines as an SRT file in @tmp, each shown until the next one starts.
+   */
+  function loadLyricsTrack(itemId, lines) {
+    const timed = lines.filter((line) => line.time !== null);
+    const duration = core.status.duration || 0;
+
+    const cues = timed
+      .map((line, i) => {
+        const next = timed[i + 1];
+        const end = next ? next.time : Math.max(duration, line.time + LAST_LINE_SECONDS);
+        return { start: line.time, end, text: line.text };
+      })
+      // Empty lines only mark where the previous one ends
+      .filter((cue) => cue.text.trim().length > 0 && cue.end > cue.start);
+
+    if (cues.length === 0) return;
+
+    const srt = cues
+      .map(
+        (cue, i) =>
+          `${i + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cue.text}\n`
+      )
+      .join('\n');
+
+    const sanitizedItemId = String(itemId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    const localPath = `@tmp/jellyfin_lyrics_${sanitizedItemId}.srt`;
+    file.write(localPath, srt);
+    lyricsTrackPath = localPath;
+    core.subtitle.loadTrack(utils.resolvePath(localPath));
+    log(`Loaded ${cues.length} synced lyric line(s) as a subtitle track`);
+  }
+
+  async function loadLyrics(jellyfinInfo) {
+    clearLyrics();
+    const loadId = loadCounter;
+
+    if (!preferences.get('lyrics_enabled') || !jellyfinInfo) {
+      return;
+    }
+
+    const { serverBase, itemId, apiKey } = jellyfinInfo;
+
+    try {
+      const metadata = await fetchItemMetadata(serverBase, itemId, apiKey);
+      if (loadId !== loadCounter || !metadata || metadata.Type !== 'Audio') return;
+
+      const result = await fetchLyrics(serverBase, itemId, apiKey);
+      if (loadId !== loadCounter) return;
+
+      const lines = ((result && result.Lyrics) || []).map((line) => ({
+        text: line.Text || '',
+        time: line.Start !== null && line.Start !== undefined ? ticksToSeconds(line.Start) : null,
+      }));
+      if (lines.length === 0) {
+        log(`No lyrics for ${itemId}`);
+        return;
+      }
+
+      const synced = lines.some((line) => line.time !== null);
+      lyrics = {
+        itemId,
+        title: metadata.Name || '',
+        artist: (metadata.Artists && metadata.Artists.join(', ')) || metadata.AlbumArtist || '',
+        synced,
+        lines,
+      };
+      log(`Loaded ${lines.length} lyric line(s) for ${itemId}${synced ? ' (synced)' : ''}`);
+
+      if (synced) {
+        loadLyricsTrack(itemId, lines);
+        startLineTracking();
+      }
+      notifyViews('lyrics', getLyricsState());
+    } catch (error) {
+      log(`Error loading lyrics: ${error.message}`);
+    }
+  }
+
+  return {
+    loadLyrics,
+    clearLyrics,
+    getLyricsState,
+  };
+}
+
+module.exports = {
+  createLyricsManager,
+};
@@ -1,29 +1,69 @@
 'use strict';
 
+const { matchesLanguage, parseLanguageList } = require('./track-selection.js');
+
+const SUBTITLE_SETTINGS_FILE = '@data/subtitle-settings.json';
+// Oldest entries are dropped beyond this, so the file stays small
+const MAX_SUBTITLE_SETTINGS = 500;
+// Dragging the delay or scale changes it many times a second; the file is
+// written once the changes settle
+const SUBTITLE_SETTINGS_SAVE_DELAY = 2000;
+
 function createMediaActionsManager({
   core,
   http,
   utils,
+  file,
   preferences,
   mpv,
   parseJellyfinUrl,
   isJellyfinUrl,
   fetchPlaybackInfo,
   fetchItemMetadata,
+  selectMediaSource,
+  requestBurnInUrl,
+  reopenAtPosition,
+  getSelectedStreamIndex,
+  selectTrackByStreamIndex,
+  loadChapters,
   log,
 }) {
   let lastJellyfinUrl = null;
   let lastItemId = null;
-
+  // The preferred image subtitle of the current file, for burnInSubtitle
+  let burnInCandidate = null;
+  // The subtitle drawn into the transcode that burnInSubtitle opened
+  let burnedIn = null;
+  // Where subtitle changes of the playing item are saved. Only set once its
+  // stored settings have been applied, so the values a file starts with do
+  // not overwrite them.
+  let subtitleSettingsTarget = null;
+  // Settings read from the player but not yet written to the file
+  let pendingSubtitleSettings = null;
+  let subtitleSettingsTimer = null;
+
+  /**
+   * Title and chapters both come from the item's metadata, fetched once.
+   */
   async function setVideoTitleFromMetadata(serverBase, itemId, apiKey) {
     try {
-      if (!preferences.get('set_video_title')) {
-        log('Video title setting is disabled in preferences');
+      const wantsTitle = preferences.get('set_video_title');
+      const wantsChapters = preferences.get('jellyfin_chapters_enabled');
+      if (!wantsTitle && !wantsChapters) {
+        log('Video title and chapters are disabled in preferences');
         return;
       }
 
       const metadata = await fetchItemMetadata(serverBase, itemId, apiKey);
 
+      if (wantsChapters && metadata && lastItemId === itemId) {
+        loadChapters(itemId, metadata.Chapters);
+      }
+
+      if (!wantsTitle) {
+        return;
+      }
+
       if (!metadata || !metadata.Name) {
         log('No title found in metadata');
         return;
@@ -131,7 +171,7 @@ function createMediaActionsManager({
       log(`External subtitle loaded successfully: ${resolvedPath}`);
 
       if (preferences.get('show_notifications')) {
-        core.osd(`Loaded external ${language} subtitle`);
+        core.osd(`Loaded ${language} subtitle`);
       }
 
       return true;
@@ -141,57 +181,103 @@ function createMediaActionsManager({
     }
   }
 
-  async function downloadAllSubtitles(serverBase, itemId, apiKey) {
+  /**
+   * How a subtitle stream reaches the player:
+   * - native: an embedded track mpv already reads from the file itself
+   * - convert: the server extracts/converts it to a text file to load
+   * - burn-in: an image track the server can only draw into a transcode
+   * Embedded tracks are only native while playing the original file; a
+   * transcode or a remote source (e.g. a .strm) has no such tracks.
+   */
+  function chooseSubtitleDelivery(stream, mediaSource, playMethod) {
+    if (!stream.IsExternal && playMethod === 'DirectPlay' && !mediaSource.IsRemote) {
+      return 'native';
+    }
+    return stream.IsTextSubtitleStream ? 'convert' : 'burn-in';
+  }
+
+  function describeSubtitleDeliveries(counts) {
+    const parts = [];
+    if (counts.native > 0) parts.push(`${counts.native} embedded`);
+    if (counts.convert > 0) parts.push(`${counts.convert} converted by the server`);
+    if (counts['burned-in'] > 0) parts.push('1 burned in by the server');
+    if (counts['burn-in'] > 0) parts.push(`${counts['burn-in']} image track(s) can be burned in`);
+    return parts.join(', ');
+  }
+
+  async function downloadAllSubtitles(
+    serverBase,
+    itemId,
+    apiKey,
+    mediaSourceId,
+    playMethod = 'DirectPlay'
+  ) {
+    burnInCandidate = null;
+
     try {
       const playbackInfo = await fetchPlaybackInfo(serverBase, itemId, apiKey);
 
-      if (!playbackInfo.MediaSources || playbackInfo.MediaSources.length === 0) {
+      // The version being played, so the tracks match the file on screen
+      const mediaSource = selectMediaSource(playbackInfo, mediaSourceId);
+      if (!mediaSource) {
         log('No media sources found');
         return;
       }
 
-      const mediaSource = playbackInfo.MediaSources[0];
       const mediaStreams = mediaSource.MediaStreams || [];
+      const subtitleStreams = mediaStreams.filter((stream) => stream.Type === 'Subtitle');
 
-      // External sidecar files only. Embedded tracks would have to be extracted
-      // by the server on demand, which takes minutes for large remuxes, and
-      // mpv already exposes them from the file itself.
-      const subtitleStreams = mediaStreams.filter(
-        // IsExternal is what identifies a sidecar file. Path is only used to
-        // name the download and Jellyfin omits it for non-admin accounts, so
-        // requiring it here would hide every subtitle from those users.
-        (stream) => stream.Type === 'Subtitle' && stream.IsTextSubtitleStream && stream.IsExternal
-      );
-
-      log(`Found ${subtitleStreams.length} external subtitle stream(s)`);
+      log(`Found ${subtitleStreams.length} subtitle stream(s)`);
 
-      const preferredLanguages = (preferences.get('preferred_languages') || 'en,eng')
-        .split(',')
-        .map((lang) => lang.trim().toLowerCase())
-        .filter((lang) => lang.length > 0);
+      const preferredLanguages = parseLanguageList(
+        preferences.get('preferred_languages') || 'en,eng'
+      );
       const shouldDownloadAll = preferences.get('download_all_subtitles');
 
-      let downloadedCount = 0;
+      const counts = { native: 0, convert: 0, 'burned-in': 0, 'burn-in': 0 };
+      const isBurnedIn = (stream) =>
+        playMethod === 'Transcode' &&
+        burnedIn !== null &&
+        burnedIn.itemId === itemId &&
+        burnedIn.streamIndex === stream.Index;
 
       for (const stream of subtitleStreams) {
         const language = stream.Language || 'unknown';
         const codec = stream.Codec || 'srt';
+        const delivery = chooseSubtitleDelivery(stream, mediaSource, playMethod);
 
-        const shouldDownload =
-          shouldDownloadAll ||
-          preferredLanguages.some(
-            (prefLang) =>
-              language.toLowerCase().includes(prefLang) || prefLang.includes(language.toLowerCase())
-          );
+        if (delivery === 'native') {
+          // Nothing to fetch, mpv selects it like any other track
+          counts.native++;
+          continue;
+        }
+
+        const shouldDownload = shouldDownloadAll || matchesLanguage(language, preferredLanguages);
 
         if (!shouldDownload) {
           log(`Skipping subtitle: ${language} (not in preferred languages)`);
           continue;
         }
 
-        log(`Processing external subtitle: ${language} (${codec}) - Index: ${stream.Index}`);
+        if (delivery === 'burn-in' && isBurnedIn(stream)) {
+          counts['burned-in']++;
+          continue;
+        }
+
+        if (delivery === 'burn-in') {
+          log(`Image subtitle ${language} (${codec}) - Index: ${stream.Index} needs burning in`);
+          counts['burn-in']++;
+          if (!burnInCandidate) {
+            burnInCandidate = { serverBase, itemId, apiKey, mediaSourceId, stream };
+          }
+          continue;
+        }
+
+        log(`Processing subtitle: ${language} (${codec}) - Index: ${stream.Index}`);
 
         try {
+          // Styled formats stay ASS; everything else the server converts to SRT
+          const targetCodec = stream.IsExternal || /^(ass|ssa)$/i.test(codec) ? codec : 'subrip';
           const downloaded = await downloadExternalSubtitle(
             serverBase,
             itemId,
@@ -200,23 +286,27 @@ function createMediaActionsManager({
             stream.Path,
             apiKey,
             language,
-            codec
+            targetCodec
           );
           if (downloaded) {
-            downloadedCount++;
+            counts.convert++;
           }
         } catch (error) {
           log(`Failed to download subtitle ${language}: ${error.message}`);
         }
       }
 
-      if (downloadedCount > 0 && preferences.get('show_notifications')) {
-        core.osd(`Downloaded ${downloadedCount} subtitle(s)`);
-      } else if (downloadedCount === 0) {
-        log('No external subtitles downloaded');
+      const summary = describeSubtitleDeliveries(counts);
+      if (!summary) {
+        log('No usable subtitles found');
         if (preferences.get('show_notifications')) {
-          core.osd('No matching external subtitles found');
+          core.osd('No matching subtitles found (try Search Jellyfin Subtitles)');
         }
+      } else if (preferences.get('show_notifications')) {
+        core.osd(`Subtitles: ${summary}`);
+      } else if (counts['burn-in'] > 0) {
+        // Otherwise there is no way to learn the track exists
+        core.osd(`Subtitles: ${summary} (Burn In Jellyfin Subtitle)`);
       }
     } catch (error) {
       log(`Error downloading subtitles: ${error.message}`);
@@ -226,6 +316,31 @@ function createMediaActionsManager({
     }
   }
 
+  /**
+   * Replace the playing file with a server transcode that has the image
+   * subtitle found by downloadAllSubtitles drawn in, at the same position.
+   */
+  async function burnInSubtitle() {
+    if (!burnInCandidate) {
+      core.osd('No image subtitle to burn in');
+      return;
+    }
+
+    const { stream, ...jellyfinInfo } = burnInCandidate;
+    const language = stream.DisplayTitle || stream.Language || 'unknown';
+    const position = core.status.position || 0;
+
+    core.osd(`Burning in ${language} subtitles (server transcode)...`);
+    try {
+      const streamUrl = await requestBurnInUrl(jellyfinInfo, stream.Index);
+      burnedIn = { itemId: jellyfinInfo.itemId, streamIndex: stream.Index };
+      reopenAtPosition(streamUrl, position);
+    } catch (error) {
+      log(`Error burning in subtitle: ${error.message}`);
+      core.osd('The server could not burn in the subtitle');
+    }
+  }
+
   function updateLastFromCurrentUrl(currentUrl) {
     const jellyfinInfo = parseJellyfinUrl(currentUrl);
     if (!jellyfinInfo) {
@@ -262,6 +377,189 @@ function createMediaActionsManager({
     return currentUrl;
   }
 
+  function loadSubtitleSettings() {
+    try {
+      if (!file.exists(SUBTITLE_SETTINGS_FILE)) {
+        return { items: {}, series: {} };
+      }
+      const stored = JSON.parse(file.read(SUBTITLE_SETTINGS_FILE));
+      return { items: stored.items || {}, series: stored.series || {} };
+    } catch (error) {
+      log(`Error loading subtitle settings: ${error.message}`);
+      return { items: {}, series: {} };
+    }
+  }
+
+  function pruneSettings(entries) {
+    const keys = Object.keys(entries);
+    if (keys.length <= MAX_SUBTITLE_SETTINGS) return entries;
+
+    keys
+      .sort((left, right) => (entries[left].updatedAt || 0) - (entries[right].updatedAt || 0))
+      .slice(0, keys.length - MAX_SUBTITLE_SETTINGS)
+      .forEach((key) => delete entries[key]);
+    return entries;
+  }
+
+  function saveSubtitleSettingsStore(store) {
+    try {
+      file.write(
+        SUBTITLE_SETTINGS_FILE,
+        JSON.stringify({ items: pruneSettings(store.items), series: pruneSettings(store.series) })
+      );
+    } catch (error) {
+      log(`Error saving subtitle settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reapply the subtitle delay, scale and track last used for the item. In
+   * per-series mode an episode takes delay and scale from its series, as
+   * releases of one show tend to share their timing; the track stays per item
+   * because stream indexes differ between files.
+   */
+  async function restoreSubtitleSettings(jellyfinInfo) {
+    subtitleSettingsTarget = null;
+    if (!jellyfinInfo || !preferences.get('remember_subtitle_settings')) {
+      return;
+    }
+
+    const { serverBase, itemId, apiKey } = jellyfinInfo;
+    let seriesId = null;
+    if (preferences.get('subtitle_settings_per_series')) {
+      try {
+        const metadata = await fetchItemMetadata(serverBase, itemId, apiKey);
+        seriesId = (metadata && metadata.SeriesId) || null;
+      } catch (error) {
+        log(`Could not look up the series for subtitle settings: ${error.message}`);
+      }
+    }
+
+    if (lastItemId !== itemId) {
+      log(`Item changed while restoring subtitle settings for ${itemId}`);
+      return;
+    }
+
+    const store = loadSubtitleSettings();
+    const itemSettings = store.items[itemId] || {};
+    const timing = (seriesId && store.series[seriesId]) || itemSettings;
+
+    try {
+      if (typeof timing.delay === 'number') {
+        mpv.set('sub-delay', timing.delay);
+      }
+      if (typeof timing.scale === 'number') {
+        mpv.set('sub-scale', timing.scale);
+      }
+      if (typeof itemSettings.subtitleStreamIndex === 'number') {
+        selectTrackByStreamIndex('sub', itemSettings.subtitleStreamIndex);
+      }
+      if (timing.delay || itemSettings.subtitleStreamIndex !== undefined) {
+        log(
+          `Restored subtitle settings for ${itemId}: ${JSON.stringify({ ...itemSettings, ...timing })}`
+        );
+      }
+    } catch (error) {
+      log(`Error restoring subtitle settings: ${error.message}`);
+    }
+
+    subtitleSettingsTarget = { itemId, seriesId };
+  }
+
+  /**
+   * Save the current subtitle delay, scale and track for the playing item.
+   * Called on every change of one of them: the values are read right away,
+   * the file is written by flushSubtitleSettings.
+   */
+  function saveSubtitleSettings() {
+    const target = subtitleSettingsTarget;
+    if (!target || target.itemId !== lastItemId || !preferences.get('remember_subtitle_settings')) {
+      return;
+    }
+
+    try {
+      pendingSubtitleSettings = {
+        target,
+        delay: mpv.getNumber('sub-delay') || 0,
+        scale: mpv.getNumber('sub-scale') || 1,
+        subtitleStreamIndex: getSelectedStreamIndex('sub'),
+        updatedAt: Date.now(),
+      };
+    } catch (error) {
+      log(`Error reading subtitle settings: ${error.message}`);
+      return;
+    }
+
+    clearSubtitleSettingsTimer();
+    subtitleSettingsTimer = setTimeout(flushSubtitleSettings, SUBTITLE_SETTINGS_SAVE_DELAY);
+  }
+
+  /**
+   * Write settings still waiting from saveSubtitleSettings. Also called when
+   * the file ends or the window closes, so nothing waits on the timer then.
+   */
+  function flushSubtitleSettings() {
+    clearSubtitleSettingsTimer();
+    const pending = pendingSubtitleSettings;
+    if (!pending) return;
+    pendingSubtitleSettings = null;
+
+    const { target, delay, scale, subtitleStreamIndex, updatedAt } = pending;
+    const store = loadSubtitleSettings();
+    store.items[target.itemId] = {
+      ...(subtitleStreamIndex !== null ? { subtitleStreamIndex } : {}),
+      ...(target.seriesId ? {} : { delay, scale }),
+      updatedAt,
+    };
+    if (target.seriesId) {
+      store.series[target.seriesId] = { delay, scale, updatedAt };
+    }
+    saveSubtitleSettingsStore(store);
+  }
+
+  function clearSubtitleSettingsTimer() {
+    if (subtitleSettingsTimer) {
+      clearTimeout(subtitleSettingsTimer);
+      subtitleSettingsTimer = null;
+    }
+  }
+
+  function resetSubtitleSettings() {
+    const itemId = lastItemId;
+    if (!itemId) {
+      core.osd('No Jellyfin media detected. Please open a Jellyfin URL first.');
+      return;
+    }
+
+    // A change still waiting to be written would bring the entry back
+    clearSubtitleSettingsTimer();
+    pendingSubtitleSettings = null;
+
+    const store = loadSubtitleSettings();
+    delete store.items[itemId];
+    if (subtitleSettingsTarget && subtitleSettingsTarget.seriesId) {
+      delete store.series[subtitleSettingsTarget.seriesId];
+    }
+    saveSubtitleSettingsStore(store);
+
+    // Back to the defaults now, not only the next time the item plays
+    mpv.set('sub-delay', 0);
+    mpv.set('sub-scale', 1);
+
+    core.osd('Subtitle settings reset');
+  }
+
+  /**
+   * The Jellyfin item being played, or null for anything else.
+   */
+  function getCurrentJellyfinInfo() {
+    const currentUrl = resolveCurrentJellyfinUrl();
+    if (!currentUrl || !isJellyfinUrl(currentUrl)) {
+      return null;
+    }
+    return parseJellyfinUrl(currentUrl);
+  }
+
   function manualDownloadSubtitles() {
     log('Manual download requested');
     log(`lastJellyfinUrl = "${lastJellyfinUrl}"`);
@@ -289,7 +587,13 @@ function createMediaActionsManager({
 
     log(`Downloading subtitles for item: ${jellyfinInfo.itemId}`);
     core.osd('Downloading subtitles...');
-    downloadAllSubtitles(jellyfinInfo.serverBase, jellyfinInfo.itemId, jellyfinInfo.apiKey);
+    downloadAllSubtitles(
+      jellyfinInfo.serverBase,
+      jellyfinInfo.itemId,
+      jellyfinInfo.apiKey,
+      jellyfinInfo.mediaSourceId,
+      jellyfinInfo.playMethod
+    );
   }
 
   function manualSetTitle() {
@@ -323,6 +627,9 @@ function createMediaActionsManager({
   }
 
   function updateFromFileUrl(fileUrl) {
+    flushSubtitleSettings();
+    subtitleSettingsTarget = null;
+
     if (isJellyfinUrl(fileUrl)) {
       const jellyfinInfo = parseJellyfinUrl(fileUrl);
       if (jellyfinInfo) {
@@ -349,9 +656,16 @@ function createMediaActionsManager({
   return {
     setVideoTitleFromMetadata,
     downloadAllSubtitles,
+    downloadExternalSubtitle,
+    burnInSubtitle,
     manualDownloadSubtitles,
     manualSetTitle,
     updateFromFileUrl,
+    getCurrentJellyfinInfo,
+    restoreSubtitleSettings,
+    saveSubtitleSettings,
+    flushSubtitleSettings,
+    resetSubtitleSettings,
     getLastItemId,
   };
 }
@@ -0,0 +1,204 @@
+'use strict';
+
+const SEGMENT_TICK_INTERVAL = 500;
+// Credits followed by more than this much of the file (a post-credits scene)
+// are not treated as the end of the item for "Up next".
+const CREDITS_END_TOLERANCE = 10;
+// Seeking lands slightly before the target on keyframe-based seeks, which would
+// otherwise re-enter the segment that was just skipped.
+const SEGMENT_END_MARGIN = 0.5;
+
+const SEGMENT_LABELS = {
+  Intro: 'Intro',
+  Recap: 'Recap',
+  Outro: 'Credits',
+  Preview: 'Preview',
+  Commercial: 'Commercial',
+};
+
+const AUTO_SKIP_PREFERENCES = {
+  Intro: 'auto_skip_intro',
+  Recap: 'auto_skip_recap',
+  Outro: 'auto_skip_credits',
+  Preview: 'auto_skip_preview',
+  Commercial: 'auto_skip_commercial',
+};
+
+function createMediaSegmentsManager({
+  core,
+  http,
+  preferences,
+  buildJellyfinHeaders,
+  ticksToSeconds,
+  onCreditsStart,
+  log,
+}) {
+  let segments = [];
+  let currentItemId = null;
+  let activeSegment = null;
+  let creditsReportedFor = null;
+  let segmentTickTimer = null;
+  // Bumped by every load and clear so a slow segments request for a previous
+  // file cannot install its segments on the current one.
+  let segmentRequestCounter = 0;
+
+  /**
+   * Fetch the item's segments. Servers before 10.10 have no such route and
+   * answer 404, which simply means there is nothing to skip.
+   */
+  async function fetchMediaSegments(serverBase, itemId, apiKey) {
+    try {
+      const url = `${serverBase}/MediaSegments/${itemId}?api_key=${apiKey}`;
+      log(`Fetching media segments from: ${url}`);
+
+      const response = await http.get(url, {
+        headers: buildJellyfinHeaders(apiKey, { Accept: 'application/json' }),
+      });
+
+      if (response.statusCode >= 400 || !response.data) {
+        log(`No media segments available (status ${response.statusCode})`);
+        return [];
+      }
+
+      const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+
+      return (data.Items || [])
+        .filter((segment) => SEGMENT_LABELS[segment.Type] && segment.EndTicks > segment.StartTicks)
+        .map((segment) => ({
+          id: segment.Id,
+          type: segment.Type,
+          start: ticksToSeconds(segment.StartTicks),
+          end: ticksToSeconds(segment.EndTicks),
+        }))
+        .sort((left, right) => left.start - right.start);
+    } catch (error) {
+      log(`Error fetching media segments: ${error.message}`);
+      return [];
+    }
+  }
+
+  async function loadSegmentsForItem(serverBase, itemId, apiKey) {
+    clearSegments();
+
+    if (!preferences.get('media_segments_enabled')) {
+      log('Media segments disabled, not fetching them');
+      return;
+    }
+
+    const requestId = segmentRequestCounter;
+    const fetched = await fetchMediaSegments(serverBase, itemId, apiKey);
+
+    if (requestId !== segmentRequestCounter) {
+      log(`Media segments for ${itemId} arrived after the file changed, ignoring them`);
+      return;
+    }
+
+    if (fetched.length === 0) {
+      log(`No media segments for ${itemId}`);
+      return;
+    }
+
+    segments = fetched;
+    currentItemId = itemId;
+    log(
+      `Loaded ${segments.length} media segment(s): ${segments.map((segment) => `${segment.type} ${segment.start.toFixed(0)}-${segment.end.toFixed(0)}s`).join(', ')}`
+    );
+
+    segmentTickTimer = setInterval(checkSegments, SEGMENT_TICK_INTERVAL);
+  }
+
+  function findSegmentAt(position) {
+    return (
+      segments.find(
+        (segment) => position >= segment.start && position < segment.end - SEGMENT_END_MARGIN
+      ) || null
+    );
+  }
+
+  function checkSegments() {
+    try {
+      const position = core.status.position;
+      if (position === null || position === undefined) return;
+
+      const segment = findSegmentAt(position);
+      if (segment === activeSegment) return;
+
+      activeSegment = segment;
+      if (segment) {
+        handleSegmentEntered(segment);
+      }
+    } catch (error) {
+      log(`Error checking media segments: ${error.message}`);
+    }
+  }
+
+  function handleSegmentEntered(segment) {
+    const label = SEGMENT_LABELS[segment.type];
+    log(`Entered ${label} segment (${segment.start.toFixed(1)}-${segment.end.toFixed(1)}s)`);
+
+    if (segment.type === 'Outro' && creditsReportedFor !== segment.id) {
+      creditsReportedFor = segment.id;
+      const duration = core.status.duration;
+      if (typeof onCreditsStart === 'function') {
+        onCreditsStart({
+          itemId: currentItemId,
+          start: segment.start,
+          end: segment.end,
+          runsToEnd: Boolean(duration) && duration - segment.end <= CREDITS_END_TOLERANCE,
+        });
+      }
+    }
+
+    if (preferences.get(AUTO_SKIP_PREFERENCES[segment.type])) {
+      skipSegment(segment);
+      return;
+    }
+
+    core.osd(`Skip ${label}: Cmd+Shift+K`);
+  }
+
+  function skipSegment(segment) {
+    log(`Skipping ${segment.type} segment to ${segment.end.toFixed(1)}s`);
+    core.seekTo(segment.end);
+    core.osd(`Skipped ${SEGMENT_LABELS[segment.type].toLowerCase()}`);
+  }
+
+  /**
+   * Menu action: skip the segment playback is currently in.
+   */
+  function skipCurrentSegment() {
+    const position = core.status.position;
+    const segment = position === null || position === undefined ? null : findSegmentAt(position);
+
+    if (!segment) {
+      core.osd(
+        segments.length > 0 ? 'Nothing to skip here' : 'No Jellyfin segments for this media'
+      );
+      return;
+    }
+
+    skipSegment(segment);
+  }
+
+  function clearSegments() {
+    segmentRequestCounter++;
+    if (segmentTickTimer) {
+      clearInterval(segmentTickTimer);
+      segmentTickTimer = null;
+    }
+    segments = [];
+    currentItemId = null;
+    activeSegment = null;
+    creditsReportedFor = null;
+  }
+
+  return {
+    loadSegmentsForItem,
+    skipCurrentSegment,
+    clearSegments,
+  };
+}
+
+module.exports = {
+  createMediaSegmentsManager,
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+// Downloaded subtitles are named jellyfin_{itemId}_{streamIndex}_..., which is
+// how an external track is matched back to its Jellyfin stream.
+const EXTERNAL_SUBTITLE_INDEX = /jellyfin_[A-Za-z0-9-]+_(\d+)_/;
+
+const TRACK_PROPERTIES = {
+  audio: 'aid',
+  sub: 'sid',
+};
+
+/**
+ * Translates between mpv tracks and Jellyfin MediaStream indexes. Embedded
+ * streams keep their Jellyfin index as mpv's ff-index; downloaded subtitles
+ * carry it in their file name. Only meaningful for the original file — a
+ * transcode has its own stream layout.
+ */
+function createMediaTracksManager({ mpv, log }) {
+  function streamIndexOfTrack(position) {
+    if (mpv.getFlag(`track-list/${position}/external`)) {
+      const match = String(mpv.getString(`track-list/${position}/external-filename`) || '').match(
+        EXTERNAL_SUBTITLE_INDEX
+      );
+      return match ? Number(match[1]) : null;
+    }
+
+    const ffIndex = mpv.getNumber(`track-list/${position}/ff-index`);
+    return Number.isInteger(ffIndex) && ffIndex >= 0 ? ffIndex : null;
+  }
+
+  /**
+   * mpv track id of a Jellyfin stream, or null when mpv has no such track (yet).
+   */
+  function findTrackId(type, streamIndex) {
+    const count = mpv.getNumber('track-list/count') || 0;
+
+    for (let i = 0; i < count; i++) {
+      if (mpv.getString(`track-list/${i}/type`) !== type) continue;
+
+      if (streamIndexOfTrack(i) === streamIndex) {
+        return mpv.getNumber(`track-list/${i}/id`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Jellyfin index of the selected track: -1 when the track is switched off,
+   * null when it has no Jellyfin counterpart (e.g. a subtitle loaded by hand).
+   */
+  function getSelectedStreamIndex(type) {
+    const selected = mpv.getString(TRACK_PROPERTIES[type]);
+    if (!selected || selected === 'no') {
+      return -1;
+    }
+
+    const trackId = Number(selected);
+    const count = mpv.getNumber('track-list/count') || 0;
+
+    for (let i = 0; i < count; i++) {
+      if (
+        mpv.getString(`track-list/${i}/type`) === type &&
+        mpv.getNumber(`track-list/${i}/id`) === trackId
+      ) {
+        return streamIndexOfTrack(i);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Switch to the track of a Jellyfin stream. Returns false when mpv does not
+   * have it, so callers can try again once more tracks are loaded.
+   */
+  function selectTrackByStreamIndex(type, streamIndex) {
+    const property = TRACK_PROPERTIES[type];
+
+    // Jellyfin uses -1 for "no subtitles"
+    if (streamIndex < 0) {
+      mpv.set(property, 'no');
+      return true;
+    }
+
+    const trackId = findTrackId(type, streamIndex);
+    if (trackId === null) {
+      log(`No ${type} track for Jellyfin stream index ${streamIndex}`);
+      return false;
+    }
+
+    mpv.set(property, trackId);
+    return true;
+  }
+
+  return {
+    findTrackId,
+    getSelectedStreamIndex,
+    selectTrackByStreamIndex,
+  };
+}
+
+module.exports = {
+  createMediaTracksManager,
+};
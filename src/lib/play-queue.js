@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * The mpv playlist as a queue for the sidebar. mpv only knows stream URLs,
+ * so the Jellyfin details of everything queued through the plugin (title,
+ * artist, artwork) are kept by item id and matched back to the entries.
+ */
+function createPlayQueueManager({
+  mpv,
+  core,
+  resolveStreamUrl,
+  itemIdFromStreamUrl,
+  playMediaList,
+  notifyViews,
+  log,
+}) {
+  const queuedItems = new Map();
+
+  function rememberQueueItems(items) {
+    (items || []).forEach((item) => {
+      const itemId = item && itemIdFromStreamUrl(item.streamUrl);
+      if (!itemId) return;
+
+      queuedItems.set(itemId, {
+        title: item.title || '',
+        artist: item.artist || '',
+        album: item.album || '',
+        imageUrl: item.imageUrl || '',
+      });
+    });
+  }
+
+  function fileTitle(filename) {
+    const name = filename.split('?')[0].split('/').pop() || filename;
+    try {
+      return decodeURIComponent(name);
+    } catch {
+      return name;
+    }
+  }
+
+  function getQueueState() {
+    const count = mpv.getNumber('playlist-count') || 0;
+    const currentIndex = count > 0 ? mpv.getNumber('playlist-pos') : -1;
+    const items = [];
+
+    for (let i = 0; i < count; i++) {
+      const filename = mpv.getString(`playlist/${i}/filename`) || '';
+      const itemId = itemIdFromStreamUrl(filename);
+      const details = (itemId && queuedItems.get(itemId)) || {};
+      const title = details.title || mpv.getString(`playlist/${i}/title`) || fileTitle(filename);
+
+      items.push({
+        index: i,
+        itemId,
+        title,
+        artist: details.artist || '',
+        album: details.album || '',
+        imageUrl: details.imageUrl || '',
+        current: i === currentIndex,
+      });
+    }
+
+    return { items, currentIndex };
+  }
+
+  /**
+   * The playlist in the shape Jellyfin's playback reports take. mpv's entry
+   * ids stay the same while entries move, so they serve as PlaylistItemId.
+   */
+  function getNowPlayingQueue() {
+    const count = mpv.getNumber('playlist-count') || 0;
+    const currentIndex = mpv.getNumber('playlist-pos');
+    const queue = [];
+    let playlistItemId = null;
+
+    for (let i = 0; i < count; i++) {
+      const itemId = itemIdFromStreamUrl(mpv.getString(`playlist/${i}/filename`) || '');
+      if (!itemId) continue;
+
+      const entryId = mpv.getNumber(`playlist/${i}/id`);
+      const entry = { Id: itemId, PlaylistItemId: `playlistItem${entryId ?? i}` };
+      queue.push(entry);
+      if (i === currentIndex) {
+        playlistItemId = entry.PlaylistItemId;
+      }
+    }
+
+    return { queue, playlistItemId };
+  }
+
+  function notifyQueueChanged() {
+    try {
+      notifyViews('play-queue', getQueueState());
+    } catch (error) {
+      log(`Error reading the playlist: ${error.message}`);
+    }
+  }
+
+  function appendArgs(streamUrl, title, mode) {
+    const args = [streamUrl, mode];
+    if (title) {
+      args.push('-1', `force-media-title=${title}`);
+    }
+    return args;
+  }
+
+  /**
+   * "Add to queue" appends; "Play next" inserts after the playing entry.
+   * With nothing playing, the items simply start playing.
+   */
+  async function addToQueue(items, { playNext = false, quiet = false } = {}) {
+    const playable = (items || []).filter((item) => item && item.streamUrl);
+    if (playable.length === 0) {
+      core.osd('Nothing to queue');
+      return;
+    }
+
+    rememberQueueItems(playable);
+
+    if ((mpv.getNumber('playlist-count') || 0) === 0) {
+      playMediaList(playable);
+      return;
+    }
+
+    try {
+      // insert-next puts each entry straight after the current one, so the
+      // list goes in backwards to come out in order
+      const ordered = playNext ? [...playable].reverse() : playable;
+      for (const item of ordered) {
+        const streamUrl = await resolveStreamUrl(item.streamUrl);
+        mpv.command(
+          'loadfile',
+          appendArgs(streamUrl, item.title, playNext ? 'insert-next' : 'append')
+        );
+      }
+
+      const what = playable.length === 1 ? playable[0].title : `${playable.length} tracks`;
+      if (!quiet) {
+        core.osd(playNext ? `Playing next: ${what}` : `Added to queue: ${what}`);
+      }
+      log(`Queued ${playable.length} item(s)${playNext ? ' to play next' : ''}`);
+    } catch (error) {
+      log(`Could not queue items: ${error.message}`);
+      core.osd('Failed to add to queue');
+    }
+
+    notifyQueueChanged();
+  }
+
+  /**
+   * Move an entry so it ends up before the one now at `to` (the end when `to`
+   * is the playlist count), which is how playlist-move counts.
+   */
+  function moveQueueItem(from, to) {
+    const count = mpv.getNumber('playlist-count') || 0;
+    if (!(from >= 0 && from < count && to >= 0 && to <= count) || from === to) return;
+
+    mpv.command('playlist-move', [String(from), String(to)]);
+    notifyQueueChanged();
+  }
+
+  function removeQueueItem(index) {
+    const count = mpv.getNumber('playlist-count') || 0;
+    // Removing the playing entry would stop playback; skipping is the way on
+    if (!(index >= 0 && index < count) || index === mpv.getNumber('playlist-pos')) return;
+
+    mpv.command('playlist-remove', [String(index)]);
+    notifyQueueChanged();
+  }
+
+  function playQueueItem(index) {
+    const count = mpv.getNumber('playlist-count') || 0;
+    if (!(index >= 0 && index < count)) return;
+
+    mpv.command('playlist-play-index', [String(index)]);
+  }
+
+  return {
+    rememberQueueItems,
+    getQueueState,
+    getNowPlayingQueue,
+    notifyQueueChanged,
+    addToQueue,
+    moveQueueItem,
+    removeQueueItem,
+    playQueueItem,
+  };
+}
+
+module.exports = {
+  createPlayQueueManager,
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { createReportOutbox } = require('./report-outbox.js');
+
 function createPlaybackTrackingManager({
   core,
   http,
@@ -7,10 +9,16 @@ function createPlaybackTrackingManager({
   buildJellyfinHeaders,
   fetchPlaybackInfo,
   fetchItemMetadata,
+  selectMediaSource,
+  getSelectedStreamIndex,
+  selectTrackByStreamIndex,
+  getNowPlayingQueue,
   secondsToTicks,
   ticksToSeconds,
   log,
 }) {
+  const reportOutbox = createReportOutbox({ preferences, log });
+
   let currentPlaybackSession = null;
   // Bumped by every start and stop so an in-flight startPlaybackTracking can
   // tell that its session is no longer the one being played.
@@ -24,6 +32,8 @@ function createPlaybackTrackingManager({
   let hasStartedPlayback = false;
   let playbackTickCount = 0;
   let playbackTickTimer = null;
+  // The open "Resume / Start from beginning" question in ask mode
+  let resumePrompt = null;
 
   /**
    * Current playback position, or null when it carries no information yet.
@@ -44,16 +54,42 @@ function createPlaybackTrackingManager({
   }
 
   const PLAYBACK_TICK_INTERVAL = 1000;
+  // Gateway errors come from a reverse proxy whose Jellyfin is down, which is
+  // the same situation as not reaching the server at all.
+  const UNREACHABLE_STATUSES = [502, 503, 504];
   const PROGRESS_REPORT_TICKS = 10;
   const WATCHED_THRESHOLD = 0.95;
+  // Music counts as played the way scrobblers count it: half the track, or
+  // four minutes of a long one
+  const AUDIO_PLAYED_THRESHOLD = 0.5;
+  const AUDIO_PLAYED_SECONDS = 240;
+  // Audio shorter than this (songs, as opposed to audiobooks and podcasts)
+  // always starts from the beginning
+  const AUDIO_RESUME_MIN_SECONDS = 600;
+  // The OSD fades after a few seconds, so the question is repeated until it
+  // is answered or times out.
+  const RESUME_PROMPT_REFRESH = 2000;
+  const DEFAULT_RESUME_PROMPT_TIMEOUT = 10;
+  // Downloaded subtitles show up a few seconds after the file loads, so a
+  // remembered subtitle is retried on each tick for this long.
+  const TRACK_RESTORE_TICKS = 20;
+
+  function formatPlaybackTime(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60)
+      .toString()
+      .padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  }
 
-  async function fetchResumePosition(serverBase, itemId, apiKey) {
+  /**
+   * The item's UserData (resume position, remembered tracks), or null.
+   */
+  async function fetchUserData(serverBase, itemId, apiKey) {
     try {
-      if (!preferences.get('sync_playback_progress')) {
-        log('Playback progress sync disabled, skipping resume position fetch');
-        return null;
-      }
-
       const metadata = await fetchItemMetadata(serverBase, itemId, apiKey);
 
       if (!metadata || !metadata.UserData) {
@@ -61,8 +97,21 @@ function createPlaybackTrackingManager({
         return null;
       }
 
-      const playbackPositionTicks = metadata.UserData.PlaybackPositionTicks;
-      const played = metadata.UserData.Played;
+      return metadata.UserData;
+    } catch (error) {
+      log(`Error fetching user data: ${error.message}`);
+      return null;
+    }
+  }
+
+  function getResumePosition(userData) {
+    try {
+      if (!userData) {
+        return null;
+      }
+
+      const playbackPositionTicks = userData.PlaybackPositionTicks;
+      const played = userData.Played;
 
       if (played) {
         log('Item already marked as played, not resuming');
@@ -79,19 +128,88 @@ function createPlaybackTrackingManager({
 
       return positionSeconds;
     } catch (error) {
-      log(`Error fetching resume position: ${error.message}`);
+      log(`Error reading resume position: ${error.message}`);
       return null;
     }
   }
 
-  async function resumeFromJellyfin(serverBase, itemId, apiKey) {
+  /**
+   * Resume policy "ask": hold playback at the start and offer both choices.
+   * Without an answer it resumes, which is what the other clients do.
+   */
+  function promptForResume(session, resumePosition) {
+    const timeout =
+      Number(preferences.get('resume_prompt_timeout')) || DEFAULT_RESUME_PROMPT_TIMEOUT;
+    const deadline = Date.now() + timeout * 1000;
+
+    core.pause();
+
+    const showPrompt = () => {
+      const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      if (remaining === 0) {
+        answerResumePrompt(true);
+        return;
+      }
+      core.osd(
+        `Resume at ${formatPlaybackTime(resumePosition)} (Cmd+Shift+R) / Start from beginning (Cmd+Shift+B) — resuming in ${remaining}s`
+      );
+    };
+
+    resumePrompt = {
+      session,
+      resumePosition,
+      timer: setInterval(showPrompt, RESUME_PROMPT_REFRESH),
+    };
+    showPrompt();
+  }
+
+  function clearResumePrompt() {
+    if (resumePrompt) {
+      clearInterval(resumePrompt.timer);
+      resumePrompt = null;
+    }
+  }
+
+  function answerResumePrompt(resume) {
+    if (!resumePrompt) {
+      core.osd('No resume question to answer');
+      return;
+    }
+
+    const { session, resumePosition } = resumePrompt;
+    clearResumePrompt();
+
+    if (currentPlaybackSession !== session) {
+      return;
+    }
+
+    if (resume) {
+      log(`Resuming playback at ${resumePosition.toFixed(1)}s (prompt)`);
+      core.seekTo(resumePosition);
+      core.osd(`Resuming at ${formatPlaybackTime(resumePosition)}`);
+    } else {
+      log('Starting from the beginning (prompt)');
+      core.osd('Starting from the beginning');
+    }
+    core.resume();
+  }
+
+  function resumeFromPrompt() {
+    answerResumePrompt(true);
+  }
+
+  function startOverFromPrompt() {
+    answerResumePrompt(false);
+  }
+
+  async function resumeFromJellyfin(userDataRequest, itemId, resumePolicy) {
     // The session this resume belongs to. The user can load another file while
     // the metadata request or the 1s delay is still pending — seeking then
     // would jump the *new* file to this item's resume position.
     const session = currentPlaybackSession;
 
     try {
-      const resumePosition = await fetchResumePosition(serverBase, itemId, apiKey);
+      const resumePosition = getResumePosition(await userDataRequest);
 
       // Keep what the server had, so stopping without playing anything can
       // report it back unchanged instead of resetting the item.
@@ -116,13 +234,21 @@ function createPlaybackTrackingManager({
             return;
           }
 
+          if (resumePolicy === 'restart') {
+            log(`Resume policy is restart, not resuming at ${resumePosition.toFixed(1)}s`);
+            return;
+          }
+
+          if (resumePolicy === 'ask') {
+            promptForResume(session, resumePosition);
+            return;
+          }
+
           log(`Resuming playback at ${resumePosition.toFixed(1)}s`);
           core.seekTo(resumePosition);
 
           if (preferences.get('show_notifications')) {
-            const minutes = Math.floor(resumePosition / 60);
-            const seconds = Math.floor(resumePosition % 60);
-            core.osd(`Resuming at ${minutes}:${seconds.toString().padStart(2, '0')}`);
+            core.osd(`Resuming at ${formatPlaybackTime(resumePosition)}`);
           }
         } catch (error) {
           log(`Error seeking to resume position: ${error.message}`);
@@ -133,91 +259,178 @@ function createPlaybackTrackingManager({
     }
   }
 
-  async function reportPlaybackStart(serverBase, itemId, apiKey, playSessionId, mediaSourceId) {
-    try {
-      if (!preferences.get('sync_playback_progress')) {
-        log('Playback progress sync disabled, skipping playback start report');
-        return false;
-      }
+  /**
+   * Classify a delivery attempt. Only a server that could not be reached (or a
+   * proxy in front of it saying so) is worth retrying later; anything else it
+   * answered with is final.
+   */
+  function classifyResponse(response) {
+    if (UNREACHABLE_STATUSES.includes(response.statusCode)) {
+      return 'unreachable';
+    }
+    return response.statusCode >= 400 ? 'rejected' : 'sent';
+  }
 
-      const url = `${serverBase}/Sessions/Playing?api_key=${apiKey}`;
-      log(`Reporting playback start for item: ${itemId}`);
-
-      const response = await http.post(url, {
-        headers: buildJellyfinHeaders(apiKey, {
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        }),
-        data: {
-          ItemId: itemId,
-          MediaSourceId: mediaSourceId || itemId,
-          PlaySessionId: playSessionId,
-          CanSeek: true,
-          PlayMethod: 'DirectPlay',
-          PositionTicks: 0,
-        },
-      });
-
-      if (response.statusCode >= 400) {
-        log(`Playback start failed with status: ${response.statusCode}`);
-        return false;
+  /**
+   * Send one report to the server. Reports are plain objects so the same code
+   * serves live playback and the replay of queued reports.
+   */
+  async function sendReport(report) {
+    const { serverBase, itemId, apiKey } = report;
+    const headers = buildJellyfinHeaders(apiKey, {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    });
+
+    let url;
+    let data;
+    if (report.type === 'watched') {
+      url = `${serverBase}/UserPlayedItems/${itemId}?api_key=${apiKey}`;
+    } else {
+      const path = {
+        start: '/Sessions/Playing',
+        progress: '/Sessions/Playing/Progress',
+        stop: '/Sessions/Playing/Stopped',
+      }[report.type];
+      url = `${serverBase}${path}?api_key=${apiKey}`;
+      data = {
+        ItemId: itemId,
+        MediaSourceId: report.mediaSourceId || itemId,
+        PlaySessionId: report.playSessionId,
+        PositionTicks: report.positionTicks,
+      };
+      if (report.type !== 'stop') {
+        data.CanSeek = true;
+        data.PlayMethod = report.playMethod || 'DirectPlay';
+        if (report.audioStreamIndex !== undefined) {
+          data.AudioStreamIndex = report.audioStreamIndex;
+        }
+        if (report.subtitleStreamIndex !== undefined) {
+          data.SubtitleStreamIndex = report.subtitleStreamIndex;
+        }
+        if (report.nowPlayingQueue) {
+          data.NowPlayingQueue = report.nowPlayingQueue;
+          data.PlaylistItemId = report.playlistItemId;
+        }
+        if (report.queueableMediaTypes) {
+          data.QueueableMediaTypes = report.queueableMediaTypes;
+        }
+        if (report.liveStreamId) {
+          data.LiveStreamId = report.liveStreamId;
+        }
       }
+      if (report.type === 'progress') {
+        data.IsPaused = report.isPaused;
+      }
+    }
 
-      log(`Playback start reported, status: ${response.statusCode}`);
-      return response.statusCode === 204 || response.statusCode === 200;
+    try {
+      const response = await http.post(url, data ? { headers, data } : { headers });
+      const outcome = classifyResponse(response);
+      if (outcome !== 'sent') {
+        log(`Playback ${report.type} report failed with status: ${response.statusCode}`);
+      }
+      return { outcome, statusCode: response.statusCode };
     } catch (error) {
       log(
-        `Error reporting playback start: ${error && error.message ? error.message : JSON.stringify(error)}`
+        `Error sending playback ${report.type} report: ${error && error.message ? error.message : JSON.stringify(error)}`
       );
+      return { outcome: 'unreachable', statusCode: 0 };
+    }
+  }
+
+  function replayQueuedReports(serverBase) {
+    if (!preferences.get('sync_playback_progress') || !reportOutbox.hasPending(serverBase)) {
+      return;
+    }
+
+    reportOutbox.replay(serverBase, async (report) => (await sendReport(report)).outcome);
+  }
+
+  /**
+   * Deliver a report now, or keep it in the outbox when the server cannot be
+   * reached. A successful delivery proves the server is back, so whatever was
+   * queued for it earlier goes out right after.
+   */
+  async function deliverReport(report) {
+    // Anything still queued for this server has to reach it first, or a stale
+    // progress entry replayed later would overwrite this newer position.
+    if (reportOutbox.hasPending(report.serverBase)) {
+      reportOutbox.enqueue(report);
+      replayQueuedReports(report.serverBase);
       return false;
     }
+
+    const { outcome, statusCode } = await sendReport(report);
+
+    if (outcome === 'unreachable') {
+      reportOutbox.enqueue(report);
+      return false;
+    }
+
+    if (outcome === 'sent') {
+      replayQueuedReports(report.serverBase);
+    }
+
+    return statusCode === 204 || statusCode === 200;
   }
 
-  async function reportPlaybackProgress(
+  async function reportPlaybackStart(
     serverBase,
     itemId,
     apiKey,
-    positionSeconds,
     playSessionId,
     mediaSourceId,
-    isPaused = false
+    playMethod,
+    details = {}
   ) {
-    try {
-      if (!preferences.get('sync_playback_progress')) {
-        return false;
-      }
+    if (!preferences.get('sync_playback_progress')) {
+      log('Playback progress sync disabled, skipping playback start report');
+      return false;
+    }
 
-      const positionTicks = secondsToTicks(positionSeconds);
-      const url = `${serverBase}/Sessions/Playing/Progress?api_key=${apiKey}`;
-
-      const response = await http.post(url, {
-        headers: buildJellyfinHeaders(apiKey, {
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        }),
-        data: {
-          ItemId: itemId,
-          MediaSourceId: mediaSourceId || itemId,
-          PlaySessionId: playSessionId,
-          PositionTicks: positionTicks,
-          IsPaused: isPaused,
-          CanSeek: true,
-          PlayMethod: 'DirectPlay',
-        },
-      });
-
-      if (response.statusCode >= 400) {
-        log(`Progress report failed with status: ${response.statusCode}`);
-        return false;
-      }
+    log(`Reporting playback start for item: ${itemId}`);
 
-      return response.statusCode === 204 || response.statusCode === 200;
-    } catch (error) {
-      log(
-        `Error reporting playback progress: ${error && error.message ? error.message : JSON.stringify(error)}`
-      );
+    return deliverReport({
+      type: 'start',
+      serverBase,
+      itemId,
+      apiKey,
+      playSessionId,
+      mediaSourceId,
+      playMethod,
+      ...details,
+      positionTicks: 0,
+    });
+  }
+
+  async function reportPlaybackProgress(
+    serverBase,
+    itemId,
+    apiKey,
+    positionSeconds,
+    playSessionId,
+    mediaSourceId,
+    isPaused = false,
+    playMethod = 'DirectPlay',
+    details = {}
+  ) {
+    if (!preferences.get('sync_playback_progress')) {
       return false;
     }
+
+    return deliverReport({
+      type: 'progress',
+      serverBase,
+      itemId,
+      apiKey,
+      playSessionId,
+      mediaSourceId,
+      playMethod,
+      ...details,
+      positionTicks: secondsToTicks(positionSeconds),
+      isPaused,
+    });
   }
 
   async function reportPlaybackStop(
@@ -228,86 +441,210 @@ function createPlaybackTrackingManager({
     playSessionId,
     mediaSourceId
   ) {
-    try {
-      if (!preferences.get('sync_playback_progress')) {
-        log('Playback progress sync disabled, skipping playback stop report');
-        return false;
-      }
+    if (!preferences.get('sync_playback_progress')) {
+      log('Playback progress sync disabled, skipping playback stop report');
+      return false;
+    }
 
-      const positionTicks = secondsToTicks(positionSeconds);
-      const url = `${serverBase}/Sessions/Playing/Stopped?api_key=${apiKey}`;
-
-      log(`Reporting playback stop: position=${positionSeconds}s (${positionTicks} ticks)`);
-
-      const response = await http.post(url, {
-        headers: buildJellyfinHeaders(apiKey, {
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        }),
-        data: {
-          ItemId: itemId,
-          MediaSourceId: mediaSourceId || itemId,
-          PlaySessionId: playSessionId,
-          PositionTicks: positionTicks,
-        },
-      });
-
-      if (response.statusCode >= 400) {
-        log(`Playback stop failed with status: ${response.statusCode}`);
-        return false;
-      }
+    const positionTicks = secondsToTicks(positionSeconds);
+    log(`Reporting playback stop: position=${positionSeconds}s (${positionTicks} ticks)`);
 
-      log(`Playback stop reported, status: ${response.statusCode}`);
-      return response.statusCode === 204 || response.statusCode === 200;
-    } catch (error) {
-      log(
-        `Error reporting playback stop: ${error && error.message ? error.message : JSON.stringify(error)}`
-      );
+    return deliverReport({
+      type: 'stop',
+      serverBase,
+      itemId,
+      apiKey,
+      playSessionId,
+      mediaSourceId,
+      positionTicks,
+    });
+  }
+
+  /**
+   * A song listened to: recorded like a watched video, which is what adds to
+   * its play count, but without the "watched" notification.
+   */
+  async function recordPlay(serverBase, itemId, apiKey) {
+    if (!preferences.get('sync_playback_progress')) {
+      log('Playback progress sync disabled, skipping play count');
       return false;
     }
+
+    log(`Recording a play of: ${itemId}`);
+    return deliverReport({ type: 'watched', serverBase, itemId, apiKey });
+  }
+
+  /**
+   * Mark a session's item played, once per session.
+   */
+  function completeSession(session) {
+    if (session.hasReportedWatched) return;
+
+    session.hasReportedWatched = true;
+    if (session.isAudio) {
+      recordPlay(session.serverBase, session.itemId, session.apiKey);
+    } else {
+      markAsWatched(session.serverBase, session.itemId, session.apiKey);
+    }
+  }
+
+  function hasBeenPlayed(session, position) {
+    const duration = session.duration;
+    if (!duration) return false;
+
+    if (session.isAudio) {
+      return position >= Math.min(duration * AUDIO_PLAYED_THRESHOLD, AUDIO_PLAYED_SECONDS);
+    }
+    return position / duration >= WATCHED_THRESHOLD;
   }
 
   async function markAsWatched(serverBase, itemId, apiKey) {
+    if (!preferences.get('sync_playback_progress')) {
+      log('Playback progress sync disabled, skipping mark as watched');
+      return false;
+    }
+
+    log(`Marking item as watched: ${itemId}`);
+
+    const marked = await deliverReport({ type: 'watched', serverBase, itemId, apiKey });
+
+    if (marked && preferences.get('show_notifications')) {
+      core.osd('Marked as watched in Jellyfin');
+    }
+
+    return marked;
+  }
+
+  /**
+   * A Jellyfin stream index worth reporting: the item has a stream of that type
+   * at that index. -1 ("off") only exists for subtitles.
+   */
+  function validStreamIndex(session, streamType, index) {
+    if (index === null) {
+      return undefined;
+    }
+    if (index === -1) {
+      return streamType === 'Subtitle' ? -1 : undefined;
+    }
+    // Without playback info there is nothing to check against
+    if (session.mediaStreams.length === 0) {
+      return index;
+    }
+    return session.mediaStreams.some(
+      (stream) => stream.Index === index && stream.Type === streamType
+    )
+      ? index
+      : undefined;
+  }
+
+  /**
+   * The player's playlist, so the dashboard shows what is queued behind the
+   * playing item. Only entries that are Jellyfin items can be listed.
+   */
+  function getQueueDetails(session) {
     try {
-      if (!preferences.get('sync_playback_progress')) {
-        log('Playback progress sync disabled, skipping mark as watched');
-        return false;
+      const { queue, playlistItemId } = getNowPlayingQueue();
+      if (queue.length === 0) {
+        return {};
       }
+      return {
+        nowPlayingQueue: queue,
+        playlistItemId,
+        queueableMediaTypes: session.isAudio ? ['Audio'] : ['Video'],
+      };
+    } catch (error) {
+      log(`Could not read the playlist: ${error.message}`);
+      return {};
+    }
+  }
 
-      const url = `${serverBase}/UserPlayedItems/${itemId}?api_key=${apiKey}`;
-      log(`Marking item as watched: ${itemId}`);
+  /**
+   * Everything a start or progress report carries besides the position.
+   */
+  function getReportDetails(session) {
+    const details = { ...getStreamIndexes(session), ...getQueueDetails(session) };
+    if (session.liveStreamId) {
+      details.liveStreamId = session.liveStreamId;
+    }
+    return details;
+  }
 
-      const response = await http.post(url, {
-        headers: buildJellyfinHeaders(apiKey, {
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        }),
-      });
+  /**
+   * Jellyfin indexes of the selected audio and subtitle tracks. Left out for a
+   * transcode, whose tracks are not laid out like the original file's.
+   */
+  function getStreamIndexes(session) {
+    if (session.playMethod !== 'DirectPlay') {
+      return {};
+    }
 
-      if (response.statusCode >= 400) {
-        log(`Mark as watched failed with status: ${response.statusCode}`);
-        return false;
-      }
+    try {
+      return {
+        audioStreamIndex: validStreamIndex(session, 'Audio', getSelectedStreamIndex('audio')),
+        subtitleStreamIndex: validStreamIndex(session, 'Subtitle', getSelectedStreamIndex('sub')),
+      };
+    } catch (error) {
+      log(`Could not read the selected tracks: ${error.message}`);
+      return {};
+    }
+  }
 
-      log(`Item marked as watched, status: ${response.statusCode}`);
+  /**
+   * Switch to the tracks last chosen for this item. Jellyfin folds a
+   * remembered choice into the media source's defaults, so those stand in when
+   * UserData does not carry the indexes itself.
+   */
+  async function restoreTrackSelection(session, userDataRequest, mediaSource) {
+    if (session.playMethod !== 'DirectPlay') {
+      return;
+    }
+
+    const userData = (await userDataRequest) || {};
+    if (currentPlaybackSession !== session) {
+      return;
+    }
+
+    const pending = {};
+    const audioIndex = validStreamIndex(
+      session,
+      'Audio',
+      userData.AudioStreamIndex ?? mediaSource?.DefaultAudioStreamIndex ?? null
+    );
+    const subtitleIndex = validStreamIndex(
+      session,
+      'Subtitle',
+      userData.SubtitleStreamIndex ?? mediaSource?.DefaultSubtitleStreamIndex ?? null
+    );
+    if (audioIndex !== undefined) pending.audio = audioIndex;
+    if (subtitleIndex !== undefined) pending.sub = subtitleIndex;
+
+    if (Object.keys(pending).length === 0) {
+      return;
+    }
 
-      if (
-        (response.statusCode === 200 || response.statusCode === 204) &&
-        preferences.get('show_notifications')
-      ) {
-        core.osd('Marked as watched in Jellyfin');
+    log(`Restoring tracks: audio=${pending.audio}, subtitle=${pending.sub}`);
+    session.pendingTrackRestore = pending;
+    session.trackRestoreTicks = 0;
+    applyPendingTrackRestore(session);
+  }
+
+  function applyPendingTrackRestore(session) {
+    const pending = session.pendingTrackRestore;
+    if (!pending) return;
+
+    for (const type of Object.keys(pending)) {
+      if (selectTrackByStreamIndex(type, pending[type])) {
+        delete pending[type];
       }
+    }
 
-      return response.statusCode === 200 || response.statusCode === 204;
-    } catch (error) {
-      log(
-        `Error marking item as watched: ${error && error.message ? error.message : JSON.stringify(error)}`
-      );
-      return false;
+    session.trackRestoreTicks++;
+    if (Object.keys(pending).length === 0 || session.trackRestoreTicks >= TRACK_RESTORE_TICKS) {
+      session.pendingTrackRestore = null;
     }
   }
 
-  async function startPlaybackTracking(serverBase, itemId, apiKey) {
+  async function startPlaybackTracking(serverBase, itemId, apiKey, options = {}) {
     stopPlaybackTracking();
 
     if (!preferences.get('sync_playback_progress')) {
@@ -319,16 +656,24 @@ function createPlaybackTrackingManager({
 
     const requestId = ++sessionRequestCounter;
 
-    let playSessionId = null;
-    let mediaSourceId = null;
+    // A transcode already has its play session; a direct play gets a new one
+    let playSessionId = options.playSessionId || null;
+    let mediaSourceId = options.mediaSourceId || null;
+    const playMethod = options.playMethod || 'DirectPlay';
+    let mediaSource = null;
     try {
       const playbackInfo = await fetchPlaybackInfo(serverBase, itemId, apiKey);
       if (playbackInfo) {
-        playSessionId = playbackInfo.PlaySessionId || null;
-        if (playbackInfo.MediaSources && playbackInfo.MediaSources.length > 0) {
-          mediaSourceId = playbackInfo.MediaSources[0].Id || null;
+        playSessionId = playSessionId || playbackInfo.PlaySessionId || null;
+        mediaSource = selectMediaSource(playbackInfo, options.mediaSourceId);
+        if (mediaSource) {
+          mediaSourceId = mediaSource.Id || null;
         }
-        log(`PlaySessionId: ${playSessionId}, MediaSourceId: ${mediaSourceId}`);
+        log(
+          `PlaySessionId: ${playSessionId}, MediaSourceId: ${mediaSourceId}, PlayMethod: ${playMethod}`
+        );
+        // The server just answered, so reports queued while it was away can go
+        replayQueuedReports(serverBase);
       }
     } catch (error) {
       log(`Could not fetch playback info for session: ${error.message}`);
@@ -342,20 +687,61 @@ function createPlaybackTrackingManager({
       return;
     }
 
+    const mediaStreams = (mediaSource && mediaSource.MediaStreams) || [];
+    // Cover art shows up as an EmbeddedImage stream, not a Video one
+    const isAudio =
+      mediaStreams.some((stream) => stream.Type === 'Audio') &&
+      !mediaStreams.some((stream) => stream.Type === 'Video');
+
     currentPlaybackSession = {
       serverBase,
       itemId,
       apiKey,
       playSessionId,
       mediaSourceId,
+      playMethod,
+      liveStreamId: options.liveStreamId || null,
+      mediaStreams,
+      isAudio,
+      pendingTrackRestore: null,
+      trackRestoreTicks: 0,
       startTime: Date.now(),
       resumePosition: null,
       duration: null,
       hasReportedWatched: false,
     };
+    const session = currentPlaybackSession;
 
-    reportPlaybackStart(serverBase, itemId, apiKey, playSessionId, mediaSourceId);
-    resumeFromJellyfin(serverBase, itemId, apiKey);
+    reportPlaybackStart(
+      serverBase,
+      itemId,
+      apiKey,
+      playSessionId,
+      mediaSourceId,
+      playMethod,
+      getReportDetails(session)
+    );
+
+    // Position and remembered tracks both come from the item's UserData
+    const userDataRequest = fetchUserData(serverBase, itemId, apiKey);
+    restoreTrackSelection(session, userDataRequest, mediaSource);
+
+    const runTime =
+      mediaSource && mediaSource.RunTimeTicks ? ticksToSeconds(mediaSource.RunTimeTicks) : 0;
+
+    if (options.skipResume) {
+      log('Not resuming: the position is decided elsewhere');
+    } else if (isAudio && runTime > 0 && runTime < AUDIO_RESUME_MIN_SECONDS) {
+      log('Not resuming: a song always starts from the beginning');
+      currentPlaybackSession.resumePosition = 0;
+    } else {
+      // An item opened at a chosen position still looks the resume position
+      // up: stopping before anything played has to report it back unchanged.
+      const resumePolicy = options.ignoreResumePosition
+        ? 'restart'
+        : preferences.get('resume_policy') || 'resume';
+      resumeFromJellyfin(userDataRequest, itemId, resumePolicy);
+    }
 
     try {
       const duration = core.status.duration;
@@ -395,12 +781,14 @@ function createPlaybackTrackingManager({
           }
         }
 
+        applyPendingTrackRestore(currentPlaybackSession);
+
         playbackTickCount++;
 
         if (playbackTickCount >= PROGRESS_REPORT_TICKS) {
           playbackTickCount = 0;
           const isPaused = core.status.paused || false;
-          const { serverBase, itemId, apiKey, playSessionId, mediaSourceId } =
+          const { serverBase, itemId, apiKey, playSessionId, mediaSourceId, playMethod } =
             currentPlaybackSession;
 
           reportPlaybackProgress(
@@ -410,7 +798,9 @@ function createPlaybackTrackingManager({
             lastKnownPosition,
             playSessionId,
             mediaSourceId,
-            isPaused
+            isPaused,
+            playMethod,
+            getReportDetails(currentPlaybackSession)
           );
 
           lastReportedPosition = lastKnownPosition;
@@ -420,10 +810,9 @@ function createPlaybackTrackingManager({
             const percentComplete = lastKnownPosition / duration;
             log(`Playback progress: ${(percentComplete * 100).toFixed(1)}%`);
 
-            if (percentComplete >= WATCHED_THRESHOLD) {
-              log(`Reached ${WATCHED_THRESHOLD * 100}% threshold, marking as watched`);
-              markAsWatched(serverBase, itemId, apiKey);
-              currentPlaybackSession.hasReportedWatched = true;
+            if (hasBeenPlayed(currentPlaybackSession, lastKnownPosition)) {
+              log('Reached the played threshold, marking as played');
+              completeSession(currentPlaybackSession);
             }
           }
         }
@@ -438,11 +827,7 @@ function createPlaybackTrackingManager({
             // so the watched state has to be sent from here. The progress
             // threshold above only runs every PROGRESS_REPORT_TICKS ticks and
             // can be missed entirely on short files or after a seek to the end.
-            if (!currentPlaybackSession.hasReportedWatched) {
-              const finished = currentPlaybackSession;
-              finished.hasReportedWatched = true;
-              markAsWatched(finished.serverBase, finished.itemId, finished.apiKey);
-            }
+            completeSession(currentPlaybackSession);
 
             stopPlaybackTracking();
           }
@@ -461,7 +846,10 @@ function createPlaybackTrackingManager({
     playbackTickCount = 0;
   }
 
-  function handlePauseChange() {
+  /**
+   * Report the current state right away instead of at the next progress tick.
+   */
+  function reportStateChange(description) {
     if (!currentPlaybackSession) return;
 
     try {
@@ -471,9 +859,10 @@ function createPlaybackTrackingManager({
       }
 
       const isPaused = core.status.paused || false;
-      log(`Pause state changed: isPaused=${isPaused}, position=${lastKnownPosition}`);
+      log(`${description}: isPaused=${isPaused}, position=${lastKnownPosition}`);
 
-      const { serverBase, itemId, apiKey, playSessionId, mediaSourceId } = currentPlaybackSession;
+      const { serverBase, itemId, apiKey, playSessionId, mediaSourceId, playMethod } =
+        currentPlaybackSession;
 
       reportPlaybackProgress(
         serverBase,
@@ -482,19 +871,33 @@ function createPlaybackTrackingManager({
         lastKnownPosition,
         playSessionId,
         mediaSourceId,
-        isPaused
+        isPaused,
+        playMethod,
+        getReportDetails(currentPlaybackSession)
       );
 
       playbackTickCount = 0;
     } catch (error) {
-      log(`Error in pause change handler: ${error.message}`);
+      log(`Error reporting playback state: ${error.message}`);
     }
   }
 
+  function handlePauseChange() {
+    reportStateChange('Pause state changed');
+  }
+
+  /**
+   * An audio or subtitle switch, so other clients and the next session see it.
+   */
+  function handleTrackChange() {
+    reportStateChange('Track changed');
+  }
+
   function stopPlaybackTracking() {
     // Invalidate any start that is still waiting on its playback info request,
     // even when there is no session to stop yet.
     sessionRequestCounter++;
+    clearResumePrompt();
 
     if (currentPlaybackSession) {
       stopPlaybackTick();
@@ -529,6 +932,31 @@ function createPlaybackTrackingManager({
     }
   }
 
+  /**
+   * Mark the playing item watched before the usual threshold, e.g. once its
+   * credits start. Reported at most once per session.
+   */
+  function markSessionWatched(itemId) {
+    const session = currentPlaybackSession;
+    if (!session || session.itemId !== itemId) {
+      return;
+    }
+
+    completeSession(session);
+  }
+
+  /**
+   * The playing item's watched state was set by hand. Either way the session
+   * leaves it alone from then on: marked watched there is nothing left to
+   * report, and marked unwatched it should stay so.
+   */
+  function settleSessionWatched(itemId) {
+    const session = currentPlaybackSession;
+    if (session && session.itemId === itemId) {
+      session.hasReportedWatched = true;
+    }
+  }
+
   function getCurrentPlaybackSession() {
     return currentPlaybackSession;
   }
@@ -537,7 +965,12 @@ function createPlaybackTrackingManager({
     startPlaybackTracking,
     stopPlaybackTracking,
     handlePauseChange,
+    handleTrackChange,
     markAsWatched,
+    markSessionWatched,
+    settleSessionWatched,
+    resumeFromPrompt,
+    startOverFromPrompt,
     getCurrentPlaybackSession,
   };
 }
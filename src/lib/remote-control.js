@@ -0,0 +1,271 @@
+'use strict';
+
+const VOLUME_STEP = 5;
+const REWIND_SECONDS = 10;
+const FAST_FORWARD_SECONDS = 30;
+
+// General commands handled below; announced to the server so other clients
+// only offer what this player can actually do.
+const SUPPORTED_COMMANDS = [
+  'VolumeUp',
+  'VolumeDown',
+  'Mute',
+  'Unmute',
+  'ToggleMute',
+  'SetVolume',
+  'SetAudioStreamIndex',
+  'SetSubtitleStreamIndex',
+  'DisplayMessage',
+  'ToggleFullscreen',
+];
+
+/**
+ * Makes this player controllable from other Jellyfin clients ("Play on",
+ * pause, seek, volume, ...). The WebSocket itself lives in the sidebar, which
+ * forwards the server's messages here to be carried out with core/mpv.
+ */
+function createRemoteControlManager({
+  core,
+  mpv,
+  http,
+  buildJellyfinHeaders,
+  ticksToSeconds,
+  selectTrackByStreamIndex,
+  playMedia,
+  playMediaList,
+  addToQueue,
+  log,
+}) {
+  // Server and token of the open socket; Play commands are built against it
+  let remoteServer = null;
+
+  /**
+   * Announce this session's abilities. Jellyfin ties them to the device id in
+   * the Authorization header, the same one the socket connected with.
+   */
+  async function registerCapabilities(serverUrl, accessToken) {
+    remoteServer = { serverUrl, accessToken };
+
+    try {
+      const response = await http.post(
+        `${serverUrl}/Sessions/Capabilities/Full?api_key=${accessToken}`,
+        {
+          headers: buildJellyfinHeaders(accessToken, { 'Content-Type': 'application/json' }),
+          data: {
+            PlayableMediaTypes: ['Audio', 'Video'],
+            SupportedCommands: SUPPORTED_COMMANDS,
+            SupportsMediaControl: true,
+          },
+        }
+      );
+
+      if (response.statusCode >= 400) {
+        log(`Registering remote control capabilities failed with status: ${response.statusCode}`);
+        return;
+      }
+      log(`Remote control available on ${serverUrl}`);
+    } catch (error) {
+      log(`Error registering remote control capabilities: ${error.message}`);
+    }
+  }
+
+  function handleDisconnected() {
+    remoteServer = null;
+  }
+
+  function getRemoteServer() {
+    return remoteServer;
+  }
+
+  function handleRemoteMessage(message) {
+    if (!message || !message.MessageType) return;
+
+    try {
+      switch (message.MessageType) {
+        case 'Playstate':
+          handlePlaystate(message.Data || {});
+          break;
+        case 'GeneralCommand':
+          handleGeneralCommand(message.Data || {});
+          break;
+        case 'Play':
+          handlePlay(message.Data || {}).catch((error) => {
+            log(`Error handling remote Play: ${error.message}`);
+          });
+          break;
+        default:
+          log(`Ignoring remote control message: ${message.MessageType}`);
+      }
+    } catch (error) {
+      log(`Error handling remote ${message.MessageType}: ${error.message}`);
+    }
+  }
+
+  function handlePlaystate(data) {
+    log(`Remote playstate command: ${data.Command}`);
+
+    switch (data.Command) {
+      case 'Pause':
+        core.pause();
+        break;
+      case 'Unpause':
+        core.resume();
+        break;
+      case 'PlayPause':
+        if (core.status.paused) {
+          core.resume();
+        } else {
+          core.pause();
+        }
+        break;
+      case 'Stop':
+        core.stop();
+        break;
+      case 'Seek':
+        if (data.SeekPositionTicks !== null && data.SeekPositionTicks !== undefined) {
+          core.seekTo(ticksToSeconds(data.SeekPositionTicks));
+        }
+        break;
+      case 'Rewind':
+        core.seek(-REWIND_SECONDS);
+        break;
+      case 'FastForward':
+        core.seek(FAST_FORWARD_SECONDS);
+        break;
+      case 'NextTrack':
+        mpv.command('playlist-next', []);
+        break;
+      case 'PreviousTrack':
+        mpv.command('playlist-prev', []);
+        break;
+      default:
+        log(`Unsupported playstate command: ${data.Command}`);
+    }
+  }
+
+  function setVolume(volume) {
+    const clamped = Math.max(0, Math.min(100, Math.round(volume)));
+    mpv.set('volume', clamped);
+    core.osd(`Volume: ${clamped}%`);
+  }
+
+  function handleGeneralCommand(data) {
+    const args = data.Arguments || {};
+    log(`Remote general command: ${data.Name}`);
+
+    switch (data.Name) {
+      case 'SetVolume':
+        setVolume(Number(args.Volume));
+        break;
+      case 'VolumeUp':
+        setVolume(mpv.getNumber('volume') + VOLUME_STEP);
+        break;
+      case 'VolumeDown':
+        setVolume(mpv.getNumber('volume') - VOLUME_STEP);
+        break;
+      case 'Mute':
+        mpv.set('mute', true);
+        break;
+      case 'Unmute':
+        mpv.set('mute', false);
+        break;
+      case 'ToggleMute':
+        mpv.set('mute', !mpv.getFlag('mute'));
+        break;
+      case 'SetAudioStreamIndex':
+        selectTrackByStreamIndex('audio', Number(args.Index));
+        break;
+      case 'SetSubtitleStreamIndex':
+        selectTrackByStreamIndex('sub', Number(args.Index));
+        break;
+      case 'DisplayMessage':
+        core.osd(args.Header ? `${args.Header}: ${args.Text || ''}` : args.Text || '');
+        break;
+      case 'ToggleFullscreen':
+        core.window.fullscreen = !core.window.fullscreen;
+        break;
+      default:
+        log(`Unsupported general command: ${data.Name}`);
+    }
+  }
+
+  function buildRemoteStreamUrl(item, mediaSourceId) {
+    const route = item.MediaType === 'Audio' || item.Type === 'Audio' ? 'Audio' : 'Videos';
+    const versionParam = mediaSourceId ? `&mediaSourceId=${encodeURIComponent(mediaSourceId)}` : '';
+    return `${remoteServer.serverUrl}/${route}/${item.Id}/stream?static=true${versionParam}&api_key=${remoteServer.accessToken}`;
+  }
+
+  async function fetchItems(itemIds) {
+    const { serverUrl, accessToken } = remoteServer;
+    const response = await http.get(
+      `${serverUrl}/Items?Ids=${itemIds.join(',')}&api_key=${accessToken}`,
+      { headers: buildJellyfinHeaders(accessToken, { Accept: 'application/json' }) }
+    );
+
+    if (response.statusCode >= 400 || !response.data) {
+      throw new Error(`Items request failed with status: ${response.statusCode}`);
+    }
+
+    const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    // The server does not keep the requested order
+    const byId = new Map((data.Items || []).map((item) => [item.Id, item]));
+    return itemIds.map((id) => byId.get(id)).filter(Boolean);
+  }
+
+  async function handlePlay(data) {
+    if (!remoteServer) {
+      log('Remote play command without a connected server, ignoring it');
+      return;
+    }
+
+    // StartIndex picks where in the list to begin, e.g. a track of an album
+    const itemIds = (data.ItemIds || []).slice(data.StartIndex || 0);
+    if (itemIds.length === 0) return;
+
+    const items = await fetchItems(itemIds);
+    if (items.length === 0) {
+      log('Remote play command named no playable items');
+      return;
+    }
+
+    // A version only makes sense for a single item
+    const mediaSourceId = items.length === 1 ? data.MediaSourceId : null;
+    const entries = items.map((item) => ({
+      streamUrl: buildRemoteStreamUrl(item, mediaSourceId),
+      title: item.Name || 'Unknown Title',
+      artist: item.AlbumArtist || (item.Artists && item.Artists[0]) || '',
+      album: item.Album || '',
+    }));
+
+    log(`Remote ${data.PlayCommand} of ${entries.length} item(s)`);
+
+    if (data.PlayCommand === 'PlayNext' || data.PlayCommand === 'PlayLast') {
+      await addToQueue(entries, { playNext: data.PlayCommand === 'PlayNext' });
+      return;
+    }
+
+    // PlayNow and everything else replaces what is playing. A start position
+    // sent with the command is where the first item opens; without one, the
+    // resume position is applied by playback tracking once the file loads.
+    if (data.StartPositionTicks > 0) {
+      entries[0].startPosition = ticksToSeconds(data.StartPositionTicks);
+    }
+
+    if (entries.length === 1) {
+      playMedia(entries[0]);
+    } else {
+      playMediaList(entries);
+    }
+  }
+
+  return {
+    registerCapabilities,
+    handleDisconnected,
+    handleRemoteMessage,
+    getRemoteServer,
+  };
+}
+
+module.exports = {
+  createRemoteControlManager,
+};
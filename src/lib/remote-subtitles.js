@@ -0,0 +1,194 @@
+'use strict';
+
+// After a download the server refreshes the item before the new file shows up
+// among its streams, so the lookup is retried for a little while.
+const NEW_STREAM_ATTEMPTS = 5;
+const NEW_STREAM_RETRY_DELAY = 2000;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Searches Jellyfin's subtitle providers (OpenSubtitles and the like) for the
+ * playing item. Candidates are listed in the sidebar; the chosen one is saved
+ * next to the media on the server and then loaded like any other external
+ * subtitle.
+ */
+function createRemoteSubtitlesManager({
+  core,
+  http,
+  preferences,
+  buildJellyfinHeaders,
+  fetchPlaybackInfo,
+  selectMediaSource,
+  getCurrentJellyfinInfo,
+  downloadExternalSubtitle,
+  showSidebar,
+  notifyViews,
+  log,
+}) {
+  // The item the listed candidates were found for
+  let searchTarget = null;
+
+  /**
+   * Providers are searched by ISO 639-2 code, so the first three-letter entry
+   * of the preferred languages is used.
+   */
+  function getDefaultSearchLanguage() {
+    const languages = String(preferences.get('preferred_languages') || '')
+      .split(',')
+      .map((lang) => lang.trim().toLowerCase());
+    return languages.find((lang) => /^[a-z]{3}$/.test(lang)) || 'eng';
+  }
+
+  function parseResponseData(response) {
+    return typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  }
+
+  async function searchRemoteSubtitles(language) {
+    const jellyfinInfo = getCurrentJellyfinInfo();
+    if (!jellyfinInfo) {
+      core.osd('No Jellyfin media detected. Please open a Jellyfin URL first.');
+      return;
+    }
+
+    searchTarget = jellyfinInfo;
+    const searchLanguage = String(language || getDefaultSearchLanguage()).toLowerCase();
+    const { serverBase, itemId, apiKey } = jellyfinInfo;
+
+    showSidebar();
+    notifyViews('subtitle-search-results', { language: searchLanguage, loading: true });
+    log(`Searching remote subtitles for ${itemId} in ${searchLanguage}`);
+
+    try {
+      const response = await http.get(
+        `${serverBase}/Items/${itemId}/RemoteSearch/Subtitles/${encodeURIComponent(searchLanguage)}?api_key=${apiKey}`,
+        { headers: buildJellyfinHeaders(apiKey, { Accept: 'application/json' }) }
+      );
+
+      if (response.statusCode >= 400) {
+        throw new Error(`status ${response.statusCode}`);
+      }
+
+      const results = (parseResponseData(response) || []).map((result) => ({
+        id: result.Id,
+        name: result.Name || 'Untitled',
+        provider: result.ProviderName || '',
+        format: result.Format || '',
+        rating: result.CommunityRating ?? null,
+        downloads: result.DownloadCount ?? null,
+        isHashMatch: Boolean(result.IsHashMatch),
+      }));
+
+      log(`Found ${results.length} remote subtitle(s)`);
+      notifyViews('subtitle-search-results', { language: searchLanguage, results });
+    } catch (error) {
+      log(`Error searching remote subtitles: ${error.message}`);
+      notifyViews('subtitle-search-results', {
+        language: searchLanguage,
+        // 403 is the usual answer for accounts without subtitle management
+        error: 'Search failed — the account may not be allowed to manage subtitles',
+      });
+    }
+  }
+
+  async function fetchExternalSubtitleStreams(jellyfinInfo) {
+    const { serverBase, itemId, apiKey, mediaSourceId } = jellyfinInfo;
+    const playbackInfo = await fetchPlaybackInfo(serverBase, itemId, apiKey);
+    const mediaSource = selectMediaSource(playbackInfo, mediaSourceId);
+    if (!mediaSource) {
+      return { mediaSource: null, streams: [] };
+    }
+
+    const streams = (mediaSource.MediaStreams || []).filter(
+      (stream) => stream.Type === 'Subtitle' && stream.IsExternal
+    );
+    return { mediaSource, streams };
+  }
+
+  /**
+   * Wait for the subtitle the server just saved to appear among the item's
+   * streams: the external stream that was not there before.
+   */
+  async function findNewSubtitleStream(jellyfinInfo, knownIndexes) {
+    for (let attempt = 0; attempt < NEW_STREAM_ATTEMPTS; attempt++) {
+      const { mediaSource, streams } = await fetchExternalSubtitleStreams(jellyfinInfo);
+      const added = streams.filter((stream) => !knownIndexes.includes(stream.Index));
+      if (mediaSource && added.length > 0) {
+        return { mediaSource, stream: added[added.length - 1] };
+      }
+      await delay(NEW_STREAM_RETRY_DELAY);
+    }
+    return null;
+  }
+
+  async function downloadRemoteSubtitle(subtitleId) {
+    const jellyfinInfo = searchTarget;
+    if (!jellyfinInfo || !subtitleId) return;
+
+    const { serverBase, itemId, apiKey } = jellyfinInfo;
+    const reportResult = (ok, message) => {
+      notifyViews('subtitle-download-result', { subtitleId, ok, message });
+      core.osd(message);
+    };
+
+    try {
+      const before = await fetchExternalSubtitleStreams(jellyfinInfo);
+      const knownIndexes = before.streams.map((stream) => stream.Index);
+
+      log(`Saving remote subtitle ${subtitleId} for ${itemId}`);
+      const response = await http.post(
+        `${serverBase}/Items/${itemId}/RemoteSearch/Subtitles/${encodeURIComponent(subtitleId)}?api_key=${apiKey}`,
+        { headers: buildJellyfinHeaders(apiKey) }
+      );
+      if (response.statusCode >= 400) {
+        throw new Error(`status ${response.statusCode}`);
+      }
+
+      const found = await findNewSubtitleStream(jellyfinInfo, knownIndexes);
+      if (!found) {
+        reportResult(false, 'Subtitle saved on the server, but it has not shown up yet');
+        return;
+      }
+
+      const current = getCurrentJellyfinInfo();
+      if (!current || current.itemId !== itemId) {
+        reportResult(true, 'Subtitle saved on the server');
+        return;
+      }
+
+      const { mediaSource, stream } = found;
+      const loaded = await downloadExternalSubtitle(
+        serverBase,
+        itemId,
+        mediaSource.Id,
+        stream.Index,
+        stream.Path,
+        apiKey,
+        stream.Language || 'unknown',
+        stream.Codec || 'srt'
+      );
+      if (loaded) {
+        reportResult(
+          true,
+          `Loaded ${stream.DisplayTitle || stream.Language || 'downloaded'} subtitle`
+        );
+      } else {
+        reportResult(false, 'Subtitle saved on the server, but loading it failed');
+      }
+    } catch (error) {
+      log(`Error downloading remote subtitle: ${error.message}`);
+      reportResult(false, 'Failed to download the subtitle');
+    }
+  }
+
+  return {
+    searchRemoteSubtitles,
+    downloadRemoteSubtitle,
+  };
+}
+
+module.exports = {
+  createRemoteSubtitlesManager,
+};
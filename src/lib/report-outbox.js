@@ -0,0 +1,134 @@
+'use strict';
+
+const OUTBOX_PREFERENCE_KEY = 'jellyfin_report_outbox';
+// A day of progress reports collapses to one entry per item, so this only
+// fills up when many items were played while the server was away.
+const MAX_OUTBOX_ENTRIES = 200;
+
+/**
+ * Persistent queue of playback reports that could not reach the server.
+ *
+ * Entries are plain objects describing one report ({ type, serverBase, apiKey,
+ * itemId, playSessionId, mediaSourceId, positionTicks, ... }). They are kept in
+ * preferences, like the server list, so a report made just before IINA quits
+ * offline is still delivered the next time the server answers.
+ */
+function createReportOutbox({ preferences, log }) {
+  // Servers whose queue is being replayed; each one is replayed at most once
+  // at a time, so its reports stay in order
+  const replayingServers = new Set();
+
+  function loadEntries() {
+    try {
+      const stored = preferences.get(OUTBOX_PREFERENCE_KEY);
+      if (!stored) return [];
+      const entries = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      return Array.isArray(entries) ? entries.filter((entry) => entry && entry.type) : [];
+    } catch {
+      log('Error loading report outbox, starting with an empty one');
+      return [];
+    }
+  }
+
+  function saveEntries(entries) {
+    try {
+      preferences.set(OUTBOX_PREFERENCE_KEY, JSON.stringify(entries));
+      preferences.sync();
+    } catch (error) {
+      log(`Error saving report outbox: ${error.message}`);
+    }
+  }
+
+  function isSameItem(left, right) {
+    return left.serverBase === right.serverBase && left.itemId === right.itemId;
+  }
+
+  function enqueue(report) {
+    let entries = loadEntries();
+
+    // Only the newest position of an item is worth sending. A stop carries the
+    // final position itself, so it supersedes queued progress for the item too.
+    if (report.type === 'progress' || report.type === 'stop') {
+      entries = entries.filter(
+        (entry) => !(entry.type === 'progress' && isSameItem(entry, report))
+      );
+    }
+
+    entries.push({
+      ...report,
+      id: `${Date.now()}-${Math.floor(Math.random() * 1000000)}`,
+      queuedAt: Date.now(),
+    });
+
+    if (entries.length > MAX_OUTBOX_ENTRIES) {
+      log(`Report outbox full, dropping ${entries.length - MAX_OUTBOX_ENTRIES} oldest entries`);
+      entries = entries.slice(entries.length - MAX_OUTBOX_ENTRIES);
+    }
+
+    saveEntries(entries);
+    log(`Queued ${report.type} report for ${report.itemId} (${entries.length} pending)`);
+  }
+
+  function hasPending(serverBase) {
+    return loadEntries().some((entry) => !serverBase || entry.serverBase === serverBase);
+  }
+
+  function removeEntry(entryId) {
+    saveEntries(loadEntries().filter((entry) => entry.id !== entryId));
+  }
+
+  /**
+   * Send the queued reports for one server, oldest first. send(entry) resolves
+   * to 'sent', 'rejected' (the server answered but refused it, so retrying is
+   * pointless) or 'unreachable', which ends the replay and keeps the entry.
+   */
+  async function replay(serverBase, send) {
+    if (replayingServers.has(serverBase)) {
+      return;
+    }
+
+    replayingServers.add(serverBase);
+    let delivered = 0;
+
+    try {
+      // Re-read on every step: a report queued while an earlier one is in
+      // flight has to wait behind it, and another player window may share the
+      // same preferences.
+      while (true) {
+        const next = loadEntries().find((entry) => entry.serverBase === serverBase);
+        if (!next) break;
+
+        const outcome = await send(next);
+        if (outcome === 'unreachable') {
+          log(`Server ${serverBase} still unreachable, keeping queued reports`);
+          break;
+        }
+
+        if (outcome === 'rejected') {
+          log(`Dropping queued ${next.type} report for ${next.itemId}, rejected by the server`);
+        } else {
+          delivered++;
+        }
+        removeEntry(next.id);
+      }
+    } catch (error) {
+      log(`Error replaying queued reports: ${error.message}`);
+    } finally {
+      replayingServers.delete(serverBase);
+    }
+
+    if (delivered > 0) {
+      log(`Replayed ${delivered} queued report(s) to ${serverBase}`);
+    }
+  }
+
+  return {
+    enqueue,
+    hasPending,
+    replay,
+  };
+}
+
+module.exports = {
+  createReportOutbox,
+};
@@ -243,6 +243,46 @@ function createServerSessionStore({ preferences, sidebar, standaloneWindow, log
     }
   }
 
+  function libraryViewKey(serverUrl, userId) {
+    return `${String(serverUrl || '').replace(/\/$/, '')}|${userId || ''}`;
+  }
+
+  function loadLibraryViews() {
+    try {
+      const viewsJson = preferences.get('jellyfin_library_views');
+      if (!viewsJson) return {};
+      const views = typeof viewsJson === 'string' ? JSON.parse(viewsJson) : viewsJson;
+      return views && typeof views === 'object' ? views : {};
+    } catch {
+      log('Error loading remembered library views');
+      return {};
+    }
+  }
+
+  /**
+   * The library the user last browsed on a server, so the sidebar can reopen
+   * it. Kept per user as well, since each account sees its own libraries.
+   */
+  function getLibraryView(serverUrl, userId) {
+    return loadLibraryViews()[libraryViewKey(serverUrl, userId)] || null;
+  }
+
+  function setLibraryView(serverUrl, userId, viewId) {
+    try {
+      const views = loadLibraryViews();
+      const key = libraryViewKey(serverUrl, userId);
+      if (viewId) {
+        views[key] = viewId;
+      } else {
+        delete views[key];
+      }
+      preferences.set('jellyfin_library_views', JSON.stringify(views));
+      preferences.sync();
+    } catch (error) {
+      log(`Error saving the library view: ${error.message}`);
+    }
+  }
+
   return {
     loadStoredServers,
     saveStoredServers,
@@ -255,6 +295,9 @@ function createServerSessionStore({ preferences, sidebar, standaloneWindow, log
     storeJellyfinSession,
     clearJellyfinSession,
     getStoredJellyfinSession,
+    getLibraryView,
+    setLibraryView,
+    notifyViews,
   };
 }
 
@@ -0,0 +1,518 @@
+'use strict';
+
+const DRIFT_CHECK_INTERVAL = 1000;
+// Small drift is absorbed by playing slightly faster or slower; beyond the
+// skip threshold it is quicker to seek.
+const DRIFT_SPEED_THRESHOLD = 0.1;
+const DRIFT_SKIP_THRESHOLD = 2;
+const DRIFT_SPEED_ADJUSTMENT = 0.05;
+const TIME_SYNC_INTERVAL = 60000;
+const TIME_SYNC_SAMPLES = 3;
+const SEEK_SETTLE_POLL = 200;
+const SEEK_SETTLE_TIMEOUT = 10000;
+
+/**
+ * Jellyfin SyncPlay participation. Group membership (list, create, join,
+ * leave) is driven from the sidebar; this keeps the player in step with the
+ * group: it applies the group's commands at the server-given time, reports
+ * ready/buffering/pause/seek, and corrects drift while playing.
+ *
+ * Commands and group updates arrive over the sidebar's WebSocket, and
+ * requests are sent with the same server and token as that socket, which is
+ * what the server knows this session by.
+ */
+function createSyncPlayManager({
+  core,
+  mpv,
+  http,
+  buildJellyfinHeaders,
+  fetchItemMetadata,
+  secondsToTicks,
+  ticksToSeconds,
+  getRemoteServer,
+  playMedia,
+  notifyViews,
+  log,
+}) {
+  let group = null;
+  let participants = [];
+  let playQueue = null;
+  let currentItemId = null;
+  let pendingLoadItemId = null;
+  // Server clock minus local clock, in milliseconds
+  let timeOffset = 0;
+  // The pause state the plugin itself last set, and when it last started a
+  // seek: the events they cause are the group's command coming back, not the
+  // user, and must not be sent back. Both are cleared by the event they expect.
+  let ownPauseState = null;
+  let ownSeekStartedAt = null;
+  // The last Unpause: where and when (local time) playback was to start
+  let playingSince = null;
+  let commandTimer = null;
+  let driftTimer = null;
+  let timeSyncTimer = null;
+  // The user's own speed while drift correction has changed it
+  let speedBeforeAdjustment = null;
+
+  function isInGroup() {
+    return Boolean(group);
+  }
+
+  async function request(endpoint, data) {
+    const server = getRemoteServer();
+    if (!server) {
+      log(`SyncPlay ${endpoint} skipped: not connected to a server`);
+      return false;
+    }
+
+    try {
+      const response = await http.post(
+        `${server.serverUrl}/SyncPlay/${endpoint}?api_key=${server.accessToken}`,
+        {
+          headers: buildJellyfinHeaders(server.accessToken, {
+            'Content-Type': 'application/json',
+          }),
+          data: data || {},
+        }
+      );
+
+      if (response.statusCode >= 400) {
+        log(`SyncPlay ${endpoint} failed with status: ${response.statusCode}`);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      log(`Error sending SyncPlay ${endpoint}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Estimate the offset to the server clock from a few round trips, keeping
+   * the one with the shortest delay, and tell the server the ping.
+   */
+  async function syncTime() {
+    const server = getRemoteServer();
+    if (!server) return;
+
+    let best = null;
+    for (let i = 0; i < TIME_SYNC_SAMPLES; i++) {
+      try {
+        const requestSent = Date.now();
+        const response = await http.get(`${server.serverUrl}/GetUtcTime`, {
+          headers: buildJellyfinHeaders(server.accessToken, { Accept: 'application/json' }),
+        });
+        const responseReceived = Date.now();
+
+        const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+        const received = Date.parse(data.RequestReceptionTime);
+        const transmitted = Date.parse(data.ResponseTransmissionTime);
+        const roundTrip = responseReceived - requestSent - (transmitted - received);
+        const offset = (received - requestSent + (transmitted - responseReceived)) / 2;
+
+        if (!best || roundTrip < best.roundTrip) {
+          best = { roundTrip, offset };
+        }
+      } catch (error) {
+        log(`SyncPlay time sync sample failed: ${error.message}`);
+      }
+    }
+
+    if (!best) return;
+
+    timeOffset = best.offset;
+    log(`SyncPlay clock offset ${Math.round(timeOffset)}ms, ping ${best.roundTrip}ms`);
+    request('Ping', { Ping: best.roundTrip });
+  }
+
+  function serverNowIso() {
+    return new Date(Date.now() + timeOffset).toISOString();
+  }
+
+  function toLocalTime(serverTime) {
+    return Date.parse(serverTime) - timeOffset;
+  }
+
+  function currentPlaylistItemId() {
+    if (!playQueue || !playQueue.Playlist) return null;
+    const entry = playQueue.Playlist[playQueue.PlayingItemIndex];
+    return entry ? entry.PlaylistItemId : null;
+  }
+
+  function currentQueueItemId() {
+    if (!playQueue || !playQueue.Playlist) return null;
+    const entry = playQueue.Playlist[playQueue.PlayingItemIndex];
+    return entry ? entry.ItemId : null;
+  }
+
+  function currentPositionTicks() {
+    return secondsToTicks(core.status.position || 0);
+  }
+
+  function setPausedLocally(paused) {
+    if (Boolean(core.status.paused) !== paused) {
+      ownPauseState = paused;
+    }
+    if (paused) {
+      core.pause();
+    } else {
+      core.resume();
+    }
+  }
+
+  function seekLocally(position) {
+    ownSeekStartedAt = Date.now();
+    core.seekTo(position);
+  }
+
+  function pauseLocally(position) {
+    setPausedLocally(true);
+    if (position !== undefined) {
+      seekLocally(position);
+    }
+  }
+
+  function sendPlaybackState(endpoint) {
+    return request(endpoint, {
+      When: serverNowIso(),
+      PositionTicks: currentPositionTicks(),
+      IsPlaying: !core.status.paused,
+      PlaylistItemId: currentPlaylistItemId(),
+    });
+  }
+
+  function notifyState() {
+    notifyViews('syncplay-state', getState());
+  }
+
+  function getState() {
+    return {
+      group: group
+        ? {
+            GroupId: group.GroupId,
+            GroupName: group.GroupName,
+            State: group.State,
+            Participants: participants,
+          }
+        : null,
+    };
+  }
+
+  function showParticipants() {
+    if (!group) {
+      core.osd('Not in a SyncPlay group');
+      return;
+    }
+    core.osd(`SyncPlay "${group.GroupName}": ${participants.join(', ') || 'nobody else'}`);
+  }
+
+  function handleSyncPlayMessage(message) {
+    try {
+      if (message.MessageType === 'SyncPlayGroupUpdate') {
+        handleGroupUpdate(message.Data || {});
+      } else if (message.MessageType === 'SyncPlayCommand') {
+        handleCommand(message.Data || {});
+      }
+    } catch (error) {
+      log(`Error handling ${message.MessageType}: ${error.message}`);
+    }
+  }
+
+  function handleGroupUpdate(update) {
+    log(`SyncPlay group update: ${update.Type}`);
+
+    switch (update.Type) {
+      case 'GroupJoined':
+        group = update.Data || { GroupId: update.GroupId };
+        participants = group.Participants || [];
+        syncTime();
+        if (timeSyncTimer) clearInterval(timeSyncTimer);
+        timeSyncTimer = setInterval(syncTime, TIME_SYNC_INTERVAL);
+        showParticipants();
+        notifyState();
+        break;
+      case 'UserJoined':
+        if (!participants.includes(update.Data)) {
+          participants = [...participants, update.Data];
+        }
+        core.osd(`${update.Data} joined the SyncPlay group`);
+        notifyState();
+        break;
+      case 'UserLeft':
+        participants = participants.filter((name) => name !== update.Data);
+        core.osd(`${update.Data} left the SyncPlay group`);
+        notifyState();
+        break;
+      case 'StateUpdate':
+        if (group && update.Data) {
+          group.State = update.Data.State;
+          notifyState();
+        }
+        break;
+      case 'PlayQueue':
+        handlePlayQueue(update.Data || {});
+        break;
+      case 'GroupLeft':
+      case 'NotInGroup':
+      case 'GroupDoesNotExist':
+        if (group) {
+          core.osd('Left the SyncPlay group');
+        }
+        resetGroup();
+        break;
+      case 'LibraryAccessDenied':
+        core.osd('SyncPlay: you cannot access an item in this group');
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * The group's playlist changed. Load the item it is on, unless it is the one
+   * already playing, and report ready once it is in place.
+   */
+  async function handlePlayQueue(queue) {
+    playQueue = queue;
+    const itemId = currentQueueItemId();
+    if (!itemId) return;
+
+    const startPosition = ticksToSeconds(queue.StartPositionTicks || 0);
+
+    if (itemId === currentItemId) {
+      pauseLocally(startPosition);
+      await waitForSeek();
+      sendPlaybackState('Ready');
+      return;
+    }
+
+    const server = getRemoteServer();
+    if (!server) return;
+
+    let title = 'SyncPlay';
+    let route = 'Videos';
+    try {
+      const metadata = await fetchItemMetadata(server.serverUrl, itemId, server.accessToken);
+      title = metadata.Name || title;
+      route = metadata.MediaType === 'Audio' ? 'Audio' : 'Videos';
+    } catch {
+      log(`Could not fetch metadata for SyncPlay item ${itemId}, opening it anyway`);
+    }
+
+    log(`SyncPlay switching to item ${itemId}`);
+    pendingLoadItemId = itemId;
+    playMedia({
+      streamUrl: `${server.serverUrl}/${route}/${itemId}/stream?static=true&api_key=${server.accessToken}`,
+      title,
+    });
+  }
+
+  function handleCommand(command) {
+    if (!group || command.GroupId !== group.GroupId) return;
+
+    if (command.PlaylistItemId && command.PlaylistItemId !== currentPlaylistItemId()) {
+      log(`Ignoring SyncPlay ${command.Command} for another playlist item`);
+      return;
+    }
+
+    const position = ticksToSeconds(command.PositionTicks || 0);
+    const startAt = command.When ? toLocalTime(command.When) : Date.now();
+    const delay = startAt - Date.now();
+
+    log(`SyncPlay command: ${command.Command} at ${position.toFixed(1)}s (in ${delay}ms)`);
+
+    if (commandTimer) {
+      clearTimeout(commandTimer);
+      commandTimer = null;
+    }
+
+    switch (command.Command) {
+      case 'Unpause':
+        playingSince = { position, at: startAt };
+        if (delay > 0) {
+          pauseLocally(position);
+          commandTimer = setTimeout(() => {
+            commandTimer = null;
+            setPausedLocally(false);
+          }, delay);
+        } else {
+          // Late: join the others where they are by now
+          seekLocally(position - delay / 1000);
+          setPausedLocally(false);
+        }
+        startDriftCorrection();
+        break;
+      case 'Pause':
+        stopDriftCorrection();
+        if (delay > 0) {
+          commandTimer = setTimeout(() => {
+            commandTimer = null;
+            pauseLocally(position);
+          }, delay);
+        } else {
+          pauseLocally(position);
+        }
+        break;
+      case 'Seek':
+        stopDriftCorrection();
+        pauseLocally(position);
+        waitForSeek().then(() => sendPlaybackState('Ready'));
+        break;
+      case 'Stop':
+        stopDriftCorrection();
+        core.stop();
+        break;
+      default:
+        log(`Unsupported SyncPlay command: ${command.Command}`);
+    }
+  }
+
+  /**
+   * Resolves once mpv has finished seeking, so Ready is only reported with
+   * the new position actually in place.
+   */
+  function waitForSeek() {
+    return new Promise((resolve) => {
+      const started = Date.now();
+      const poll = () => {
+        if (!mpv.getFlag('seeking') || Date.now() - started > SEEK_SETTLE_TIMEOUT) {
+          resolve();
+          return;
+        }
+        setTimeout(poll, SEEK_SETTLE_POLL);
+      };
+      setTimeout(poll, SEEK_SETTLE_POLL);
+    });
+  }
+
+  function startDriftCorrection() {
+    stopDriftCorrection();
+    driftTimer = setInterval(correctDrift, DRIFT_CHECK_INTERVAL);
+  }
+
+  function stopDriftCorrection() {
+    if (driftTimer) {
+      clearInterval(driftTimer);
+      driftTimer = null;
+    }
+    playingSince = null;
+    resetSpeed();
+  }
+
+  function resetSpeed() {
+    if (speedBeforeAdjustment !== null) {
+      mpv.set('speed', speedBeforeAdjustment);
+      speedBeforeAdjustment = null;
+    }
+  }
+
+  function correctDrift() {
+    if (!playingSince || Date.now() < playingSince.at || core.status.paused) return;
+
+    const position = core.status.position;
+    if (position === null || position === undefined) return;
+
+    const expected = playingSince.position + (Date.now() - playingSince.at) / 1000;
+    const drift = position - expected;
+
+    if (Math.abs(drift) > DRIFT_SKIP_THRESHOLD) {
+      log(`SyncPlay drift ${drift.toFixed(2)}s, seeking to ${expected.toFixed(1)}s`);
+      resetSpeed();
+      seekLocally(expected);
+    } else if (Math.abs(drift) > DRIFT_SPEED_THRESHOLD) {
+      if (speedBeforeAdjustment === null) {
+        speedBeforeAdjustment = mpv.getNumber('speed') || 1;
+      }
+      // Ahead plays slower, behind plays faster, until the gap closes
+      const adjustment = drift > 0 ? 1 - DRIFT_SPEED_ADJUSTMENT : 1 + DRIFT_SPEED_ADJUSTMENT;
+      mpv.set('speed', speedBeforeAdjustment * adjustment);
+    } else {
+      resetSpeed();
+    }
+  }
+
+  /**
+   * A file finished loading in this player. Either it is the group's item
+   * arriving (report ready), or the user opened something else, which
+   * becomes the group's new queue.
+   */
+  function handleFileLoaded(jellyfinInfo) {
+    currentItemId = jellyfinInfo ? jellyfinInfo.itemId : null;
+    stopDriftCorrection();
+    if (!group || !currentItemId) return;
+
+    if (currentItemId === pendingLoadItemId || currentItemId === currentQueueItemId()) {
+      pendingLoadItemId = null;
+      // Wait for the group instead of starting on our own
+      pauseLocally(ticksToSeconds((playQueue && playQueue.StartPositionTicks) || 0));
+      waitForSeek().then(() => sendPlaybackState('Ready'));
+      return;
+    }
+
+    log(`Opened ${currentItemId} while in a SyncPlay group, making it the group's queue`);
+    pauseLocally();
+    request('SetNewQueue', {
+      PlayingQueue: [currentItemId],
+      PlayingItemPosition: 0,
+      StartPositionTicks: 0,
+    });
+  }
+
+  function handleLocalPauseChange() {
+    const paused = Boolean(core.status.paused);
+    const ownChange = ownPauseState === paused;
+    ownPauseState = null;
+    if (ownChange || !group || !currentPlaylistItemId()) return;
+    request(paused ? 'Pause' : 'Unpause');
+  }
+
+  /**
+   * Called once mpv has finished a seek. A seek the plugin started counts as
+   * its own however long it took, unless it never seemed to finish.
+   */
+  function handleLocalSeek() {
+    const ownSeek =
+      ownSeekStartedAt !== null && Date.now() - ownSeekStartedAt < SEEK_SETTLE_TIMEOUT;
+    ownSeekStartedAt = null;
+    if (ownSeek || !group || !currentPlaylistItemId()) return;
+    request('Seek', { PositionTicks: currentPositionTicks() });
+  }
+
+  function handleBufferingChange() {
+    if (!group || !currentPlaylistItemId()) return;
+    sendPlaybackState(mpv.getFlag('paused-for-cache') ? 'Buffering' : 'Ready');
+  }
+
+  function resetGroup() {
+    if (commandTimer) {
+      clearTimeout(commandTimer);
+      commandTimer = null;
+    }
+    if (timeSyncTimer) {
+      clearInterval(timeSyncTimer);
+      timeSyncTimer = null;
+    }
+    stopDriftCorrection();
+    group = null;
+    participants = [];
+    playQueue = null;
+    pendingLoadItemId = null;
+    notifyState();
+  }
+
+  return {
+    isInGroup,
+    getState,
+    showParticipants,
+    handleSyncPlayMessage,
+    handleFileLoaded,
+    handleLocalPauseChange,
+    handleLocalSeek,
+    handleBufferingChange,
+    resetGroup,
+  };
+}
+
+module.exports = {
+  createSyncPlayManager,
+};
@@ -0,0 +1,298 @@
+'use strict';
+
+// ISO 639-1 codes and their 639-2 equivalents; where 639-2 has both a
+// bibliographic and a terminology code, both are listed.
+const LANGUAGE_CODES = {
+  af: ['afr'],
+  am: ['amh'],
+  ar: ['ara'],
+  az: ['aze'],
+  be: ['bel'],
+  bg: ['bul'],
+  bn: ['ben'],
+  bo: ['tib', 'bod'],
+  bs: ['bos'],
+  ca: ['cat'],
+  cs: ['cze', 'ces'],
+  cy: ['wel', 'cym'],
+  da: ['dan'],
+  de: ['ger', 'deu'],
+  el: ['gre', 'ell'],
+  en: ['eng'],
+  eo: ['epo'],
+  es: ['spa'],
+  et: ['est'],
+  eu: ['baq', 'eus'],
+  fa: ['per', 'fas'],
+  fi: ['fin'],
+  fil: ['fil'],
+  fr: ['fre', 'fra'],
+  ga: ['gle'],
+  gl: ['glg'],
+  gu: ['guj'],
+  he: ['heb'],
+  hi: ['hin'],
+  hr: ['hrv'],
+  hu: ['hun'],
+  hy: ['arm', 'hye'],
+  id: ['ind'],
+  is: ['ice', 'isl'],
+  it: ['ita'],
+  ja: ['jpn'],
+  ka: ['geo', 'kat'],
+  kk: ['kaz'],
+  km: ['khm'],
+  kn: ['kan'],
+  ko: ['kor'],
+  ku: ['kur'],
+  lo: ['lao'],
+  lt: ['lit'],
+  lv: ['lav'],
+  mk: ['mac', 'mkd'],
+  ml: ['mal'],
+  mn: ['mon'],
+  mr: ['mar'],
+  ms: ['may', 'msa'],
+  mt: ['mlt'],
+  my: ['bur', 'mya'],
+  nb: ['nob'],
+  ne: ['nep'],
+  nl: ['dut', 'nld'],
+  nn: ['nno'],
+  no: ['nor'],
+  pa: ['pan'],
+  pl: ['pol'],
+  ps: ['pus'],
+  pt: ['por'],
+  ro: ['rum', 'ron'],
+  ru: ['rus'],
+  si: ['sin'],
+  sk: ['slo', 'slk'],
+  sl: ['slv'],
+  so: ['som'],
+  sq: ['alb', 'sqi'],
+  sr: ['srp'],
+  sv: ['swe'],
+  sw: ['swa'],
+  ta: ['tam'],
+  te: ['tel'],
+  th: ['tha'],
+  tl: ['tgl'],
+  tr: ['tur'],
+  uk: ['ukr'],
+  ur: ['urd'],
+  uz: ['uzb'],
+  vi: ['vie'],
+  yi: ['yid'],
+  zh: ['chi', 'zho'],
+  zu: ['zul'],
+};
+
+const LANGUAGE_ALIASES = Object.entries(LANGUAGE_CODES).reduce((aliases, [code, others]) => {
+  others.forEach((other) => {
+    aliases[other] = code;
+  });
+  return aliases;
+}, {});
+
+/**
+ * One code per language, whichever form it came in: "eng", "en" and "en-US"
+ * all become "en". Codes not in the table are compared as they are.
+ */
+function normalizeLanguage(language) {
+  const code = String(language || '')
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return LANGUAGE_ALIASES[code] || code;
+}
+
+/**
+ * Whether a stream's language is one of the wanted ones. Jellyfin reports
+ * ISO 639-2 codes ("eng", "ger") while preferences often hold 639-1 ("en",
+ * "de"), so both sides are normalized before they are compared.
+ */
+function matchesLanguage(language, wantedLanguages) {
+  const code = normalizeLanguage(language);
+  if (!code) return false;
+  return wantedLanguages.some((wanted) => normalizeLanguage(wanted) === code);
+}
+
+function isStreamIndex(value) {
+  return value !== undefined && value !== null;
+}
+
+function parseLanguageList(value) {
+  return String(value || '')
+    .split(',')
+    .map((lang) => lang.trim().toLowerCase())
+    .filter((lang) => lang.length > 0);
+}
+
+/**
+ * Picks the audio and subtitle tracks the way Jellyfin's own clients do, from
+ * the user's language preferences and subtitle mode in their Jellyfin
+ * account. A track the server remembers for the item is left to playback
+ * tracking, which restores it. Runs once the downloaded subtitles are loaded,
+ * so they can be picked too.
+ */
+function createTrackSelectionManager({
+  preferences,
+  fetchPlaybackInfo,
+  fetchItemMetadata,
+  fetchUserConfiguration,
+  selectMediaSource,
+  findTrackId,
+  selectTrackByStreamIndex,
+  log,
+}) {
+  // Bumped per file, so a selection still waiting on the server is dropped
+  // once another file has loaded.
+  let selectionCounter = 0;
+
+  function chooseAudioStream(audioStreams, config) {
+    if (config.PlayDefaultAudioTrack !== false) {
+      const defaultStream = audioStreams.find((stream) => stream.IsDefault);
+      if (defaultStream) return defaultStream;
+    }
+
+    const wanted = parseLanguageList(config.AudioLanguagePreference);
+    if (wanted.length > 0) {
+      const match = audioStreams.find((stream) => matchesLanguage(stream.Language, wanted));
+      if (match) return match;
+    }
+
+    return null;
+  }
+
+  /**
+   * Jellyfin's subtitle modes: Default (flagged default or forced tracks),
+   * Always, OnlyForced, None, and Smart — forced tracks only when the audio is
+   * already in a preferred language, full subtitles otherwise.
+   */
+  function chooseSubtitleIndex(subtitleStreams, subtitleLanguages, audioLanguage, mode) {
+    const inLanguage = subtitleLanguages.length
+      ? subtitleStreams.filter((stream) => matchesLanguage(stream.Language, subtitleLanguages))
+      : subtitleStreams;
+    const forced = inLanguage.find((stream) => stream.IsForced);
+    const full = inLanguage.find((stream) => !stream.IsForced) || inLanguage[0];
+
+    switch (mode) {
+      case 'None':
+        return -1;
+      case 'Always':
+        return full ? full.Index : -1;
+      case 'OnlyForced':
+        return forced ? forced.Index : -1;
+      case 'Smart':
+        if (subtitleLanguages.length === 0) return -1;
+        if (matchesLanguage(audioLanguage, subtitleLanguages)) {
+          return forced ? forced.Index : -1;
+        }
+        return full ? full.Index : -1;
+      default: {
+        const flagged = inLanguage.find((stream) => stream.IsDefault) || forced;
+        return flagged ? flagged.Index : -1;
+      }
+    }
+  }
+
+  /**
+   * The subtitle languages to use. The plugin's own list replaces the
+   * account's when the user says so, and fills in when the account has none.
+   */
+  function getSubtitleLanguages(config) {
+    const ownLanguages = parseLanguageList(preferences.get('preferred_languages'));
+    const accountLanguages = parseLanguageList(config.SubtitleLanguagePreference);
+
+    if (preferences.get('use_own_subtitle_languages') || accountLanguages.length === 0) {
+      return ownLanguages;
+    }
+    return accountLanguages;
+  }
+
+  async function applyTrackSelection(jellyfinInfo) {
+    const selectionId = ++selectionCounter;
+
+    if (!preferences.get('auto_select_tracks')) {
+      return;
+    }
+    // A transcode carries the server's choice of tracks in a layout of its own
+    if (!jellyfinInfo || jellyfinInfo.playMethod !== 'DirectPlay') {
+      return;
+    }
+
+    const { serverBase, itemId, apiKey, mediaSourceId } = jellyfinInfo;
+
+    try {
+      const [playbackInfo, metadata, config] = await Promise.all([
+        fetchPlaybackInfo(serverBase, itemId, apiKey),
+        fetchItemMetadata(serverBase, itemId, apiKey).catch(() => null),
+        fetchUserConfiguration(serverBase, apiKey),
+      ]);
+
+      if (selectionId !== selectionCounter) {
+        log(`Track selection for ${itemId} is stale, not applying it`);
+        return;
+      }
+
+      const mediaSource = selectMediaSource(playbackInfo, mediaSourceId);
+      if (!mediaSource) return;
+
+      const userConfig = config || {};
+      const userData = (metadata && metadata.UserData) || {};
+      const streams = mediaSource.MediaStreams || [];
+      // Only what mpv actually has: external subtitles that were not
+      // downloaded cannot be selected
+      const available = (type, stream) => findTrackId(type, stream.Index) !== null;
+      const audioStreams = streams.filter((s) => s.Type === 'Audio' && available('audio', s));
+      const subtitleStreams = streams.filter((s) => s.Type === 'Subtitle' && available('sub', s));
+
+      // A remembered choice is in UserData on servers that expose it; with
+      // "remember selections" on, the server folds it into the source defaults
+      const rememberedAudio =
+        isStreamIndex(userData.AudioStreamIndex) || Boolean(userConfig.RememberAudioSelections);
+      const rememberedSubtitle =
+        isStreamIndex(userData.SubtitleStreamIndex) ||
+        Boolean(userConfig.RememberSubtitleSelections);
+
+      // The remembered audio track is the one restored, and Smart subtitles
+      // go by its language
+      let audioIndex = rememberedAudio
+        ? (userData.AudioStreamIndex ?? mediaSource.DefaultAudioStreamIndex)
+        : undefined;
+      if (!rememberedAudio) {
+        const audioStream = chooseAudioStream(audioStreams, userConfig);
+        audioIndex = audioStream ? audioStream.Index : undefined;
+        log(`Selecting audio by language: ${audioIndex}`);
+        if (isStreamIndex(audioIndex)) {
+          selectTrackByStreamIndex('audio', audioIndex);
+        }
+      }
+
+      if (!rememberedSubtitle) {
+        const audioStream = streams.find((s) => s.Type === 'Audio' && s.Index === audioIndex);
+        const subtitleIndex = chooseSubtitleIndex(
+          subtitleStreams,
+          getSubtitleLanguages(userConfig),
+          audioStream && audioStream.Language,
+          userConfig.SubtitleMode || 'Default'
+        );
+        log(`Selecting subtitle by language: ${subtitleIndex}`);
+        selectTrackByStreamIndex('sub', subtitleIndex);
+      }
+    } catch (error) {
+      log(`Error selecting tracks: ${error.message}`);
+    }
+  }
+
+  return {
+    applyTrackSelection,
+  };
+}
+
+module.exports = {
+  createTrackSelectionManager,
+  matchesLanguage,
+  parseLanguageList,
+};
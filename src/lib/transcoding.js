@@ -0,0 +1,301 @@
+'use strict';
+
+// Default cap when the preference is empty or not a number, in Mbps
+const DEFAULT_MAX_BITRATE_MBPS = 8;
+// Image subtitles cannot be turned into text, so the server can only draw
+// them into the picture of a transcode.
+const IMAGE_SUBTITLE_FORMATS = ['pgssub', 'dvdsub', 'dvbsub', 'vobsub'];
+
+/**
+ * What this player accepts. mpv plays any container and codec, so every file
+ * is direct-playable as far as formats go and the server only steps in when a
+ * file is over the bitrate cap. Transcodes are H.264/HEVC in MPEG-TS over HLS;
+ * text subtitles stay external so they can be downloaded as usual, image ones
+ * are burned in when asked for.
+ */
+function buildDeviceProfile(maxBitrate) {
+  return {
+    Name: 'IINA',
+    MaxStreamingBitrate: maxBitrate,
+    MaxStaticBitrate: maxBitrate,
+    MusicStreamingTranscodingBitrate: 320000,
+    DirectPlayProfiles: [{ Type: 'Video' }, { Type: 'Audio' }],
+    TranscodingProfiles: [
+      {
+        Container: 'ts',
+        Type: 'Video',
+        VideoCodec: 'h264,hevc',
+        AudioCodec: 'aac,ac3,eac3,mp3,opus',
+        Protocol: 'hls',
+        Context: 'Streaming',
+        MaxAudioChannels: '6',
+        MinSegments: 1,
+        BreakOnNonKeyFrames: true,
+      },
+    ],
+    ContainerProfiles: [],
+    CodecProfiles: [],
+    SubtitleProfiles: [
+      ...['srt', 'subrip', 'ass', 'ssa', 'vtt', 'webvtt'].map((format) => ({
+        Format: format,
+        Method: 'External',
+      })),
+      ...IMAGE_SUBTITLE_FORMATS.map((format) => ({ Format: format, Method: 'Encode' })),
+    ],
+  };
+}
+
+function createTranscodingManager({
+  http,
+  preferences,
+  buildJellyfinHeaders,
+  getClientIdentity,
+  parseJellyfinUrl,
+  selectMediaSource,
+  log,
+}) {
+  // The transcode behind the file being played, stopped along with it
+  let activeTranscode = null;
+
+  function isTranscodingEnabled() {
+    return preferences.get('playback_mode') === 'transcode';
+  }
+
+  function getMaxStreamingBitrate() {
+    const mbps = parseFloat(preferences.get('max_streaming_bitrate'));
+    return Math.round((mbps > 0 ? mbps : DEFAULT_MAX_BITRATE_MBPS) * 1000000);
+  }
+
+  async function postPlaybackInfo(serverBase, itemId, apiKey, body) {
+    const url = `${serverBase}/Items/${itemId}/PlaybackInfo?api_key=${apiKey}`;
+    const response = await http.post(url, {
+      headers: buildJellyfinHeaders(apiKey, {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      }),
+      data: body,
+    });
+
+    if (response.statusCode >= 400 || !response.data) {
+      throw new Error(`PlaybackInfo failed with status: ${response.statusCode}`);
+    }
+
+    return typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  }
+
+  function absoluteTranscodingUrl(serverBase, apiKey, mediaSource) {
+    log(`Transcode reason(s): ${(mediaSource.TranscodeReasons || []).join(', ') || 'bitrate'}`);
+
+    // The URL is relative to the server and only sometimes carries the token
+    let transcodingUrl = `${serverBase}${mediaSource.TranscodingUrl}`;
+    if (!/[?&](?:api_key|apikey)=/i.test(transcodingUrl)) {
+      transcodingUrl += `&api_key=${apiKey}`;
+    }
+    return transcodingUrl;
+  }
+
+  /**
+   * Ask the server how to play an item at the configured bitrate. Returns the
+   * HLS URL of a transcode, or null when the file can be played as it is.
+   * With a burn-in subtitle index the server has to transcode regardless.
+   */
+  async function requestTranscodingUrl(serverBase, itemId, apiKey, mediaSourceId, options = {}) {
+    const burnIn = options.burnInSubtitleIndex !== undefined;
+    const maxBitrate = getMaxStreamingBitrate();
+    log(`Negotiating playback for ${itemId} at ${maxBitrate} bps`);
+
+    const playbackInfo = await postPlaybackInfo(serverBase, itemId, apiKey, {
+      MediaSourceId: mediaSourceId || undefined,
+      MaxStreamingBitrate: maxBitrate,
+      DeviceProfile: buildDeviceProfile(maxBitrate),
+      SubtitleStreamIndex: burnIn ? options.burnInSubtitleIndex : undefined,
+      EnableDirectPlay: !burnIn,
+      EnableDirectStream: false,
+      EnableTranscoding: true,
+      AutoOpenLiveStream: true,
+    });
+    const mediaSource = selectMediaSource(playbackInfo, mediaSourceId);
+
+    if (!mediaSource || !mediaSource.TranscodingUrl) {
+      log(`Server allows direct play for ${itemId}, no transcode needed`);
+      return null;
+    }
+
+    return absoluteTranscodingUrl(serverBase, apiKey, mediaSource);
+  }
+
+  /**
+   * Tune in to a Live TV channel. A channel has no file until the server opens
+   * a live stream from the tuner, so the URL to play always comes from
+   * PlaybackInfo: the live stream as it is, or its HLS transcode when
+   * transcoding is enabled or the stream cannot be played directly.
+   */
+  async function openLiveStream(serverBase, channelId, apiKey, userId) {
+    const maxBitrate = getMaxStreamingBitrate();
+    log(`Opening a live stream for channel ${channelId}`);
+
+    const playbackInfo = await postPlaybackInfo(serverBase, channelId, apiKey, {
+      UserId: userId || undefined,
+      MaxStreamingBitrate: maxBitrate,
+      DeviceProfile: buildDeviceProfile(maxBitrate),
+      EnableDirectPlay: true,
+      EnableDirectStream: true,
+      EnableTranscoding: true,
+      AutoOpenLiveStream: true,
+    });
+    const mediaSource = selectMediaSource(playbackInfo, null);
+    if (!mediaSource) {
+      throw new Error('The server returned no live stream');
+    }
+
+    const direct = mediaSource.SupportsDirectStream || mediaSource.SupportsDirectPlay;
+    if (mediaSource.TranscodingUrl && (isTranscodingEnabled() || !direct)) {
+      return absoluteTranscodingUrl(serverBase, apiKey, mediaSource);
+    }
+
+    const params = ['static=true', `MediaSourceId=${encodeURIComponent(mediaSource.Id)}`];
+    if (mediaSource.LiveStreamId) {
+      params.push(`LiveStreamId=${encodeURIComponent(mediaSource.LiveStreamId)}`);
+    }
+    if (playbackInfo.PlaySessionId) {
+      params.push(`PlaySessionId=${encodeURIComponent(playbackInfo.PlaySessionId)}`);
+    }
+    params.push(`api_key=${apiKey}`);
+    return `${serverBase}/Videos/${channelId}/stream?${params.join('&')}`;
+  }
+
+  /**
+   * The URL to actually open for a direct-play stream URL: unchanged unless
+   * transcoding is enabled and the server decides the item needs it. Any
+   * failure falls back to direct play rather than not playing at all.
+   */
+  async function resolveStreamUrl(streamUrl) {
+    if (!isTranscodingEnabled() || !streamUrl || !/\/Videos\/[^/]+\/stream/i.test(streamUrl)) {
+      return streamUrl;
+    }
+
+    const jellyfinInfo = parseJellyfinUrl(streamUrl);
+    if (!jellyfinInfo) {
+      return streamUrl;
+    }
+
+    try {
+      const transcodingUrl = await requestTranscodingUrl(
+        jellyfinInfo.serverBase,
+        jellyfinInfo.itemId,
+        jellyfinInfo.apiKey,
+        jellyfinInfo.mediaSourceId
+      );
+      return transcodingUrl || streamUrl;
+    } catch (error) {
+      log(`Could not negotiate a transcode, playing directly: ${error.message}`);
+      return streamUrl;
+    }
+  }
+
+  /**
+   * A transcode of the playing item with an image subtitle drawn into the
+   * picture. Throws when the server does not offer one.
+   */
+  async function requestBurnInUrl(jellyfinInfo, subtitleStreamIndex) {
+    const { serverBase, itemId, apiKey, mediaSourceId } = jellyfinInfo;
+    log(`Requesting a transcode with subtitle ${subtitleStreamIndex} burned in`);
+
+    const transcodingUrl = await requestTranscodingUrl(serverBase, itemId, apiKey, mediaSourceId, {
+      burnInSubtitleIndex: subtitleStreamIndex,
+    });
+    if (!transcodingUrl) {
+      throw new Error('The server offered no transcode to burn the subtitle into');
+    }
+    return transcodingUrl;
+  }
+
+  /**
+   * Tell the server to end the ffmpeg job behind a transcoded session. The
+   * server would time it out eventually, but not before it had transcoded far
+   * ahead of a player that is already gone.
+   */
+  async function stopTranscode(serverBase, apiKey, playSessionId) {
+    try {
+      const { deviceId } = getClientIdentity();
+      const url = `${serverBase}/Videos/ActiveEncodings?deviceId=${encodeURIComponent(deviceId)}&playSessionId=${encodeURIComponent(playSessionId)}&api_key=${apiKey}`;
+      log(`Stopping transcode for play session: ${playSessionId}`);
+
+      const response = await http.delete(url, {
+        headers: buildJellyfinHeaders(apiKey),
+      });
+
+      if (response.statusCode >= 400) {
+        log(`Stopping the transcode failed with status: ${response.statusCode}`);
+      }
+    } catch (error) {
+      log(`Error stopping transcode: ${error.message}`);
+    }
+  }
+
+  /**
+   * Release the tuner behind a Live TV stream. Until then the server keeps it
+   * open, and a tuner that is in use cannot record or be tuned elsewhere.
+   */
+  async function closeLiveStream(serverBase, apiKey, liveStreamId) {
+    try {
+      const url = `${serverBase}/LiveStreams/Close?liveStreamId=${encodeURIComponent(liveStreamId)}&api_key=${apiKey}`;
+      log(`Closing live stream: ${liveStreamId}`);
+
+      const response = await http.post(url, {
+        headers: buildJellyfinHeaders(apiKey),
+      });
+
+      if (response.statusCode >= 400) {
+        log(`Closing the live stream failed with status: ${response.statusCode}`);
+      }
+    } catch (error) {
+      log(`Error closing live stream: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remember the transcode or live stream of a newly loaded file (from its
+   * parsed URL), or forget the previous one when the file is played directly.
+   */
+  function setActiveTranscode(jellyfinInfo) {
+    const transcoding =
+      jellyfinInfo && jellyfinInfo.playMethod === 'Transcode' && jellyfinInfo.playSessionId;
+    const liveStreamId = jellyfinInfo && jellyfinInfo.liveStreamId;
+
+    activeTranscode =
+      transcoding || liveStreamId
+        ? {
+            serverBase: jellyfinInfo.serverBase,
+            apiKey: jellyfinInfo.apiKey,
+            playSessionId: transcoding ? jellyfinInfo.playSessionId : null,
+            liveStreamId: liveStreamId || null,
+          }
+        : null;
+  }
+
+  function stopActiveTranscode() {
+    if (!activeTranscode) return;
+
+    const { serverBase, apiKey, playSessionId, liveStreamId } = activeTranscode;
+    activeTranscode = null;
+    if (playSessionId) {
+      stopTranscode(serverBase, apiKey, playSessionId);
+    }
+    if (liveStreamId) {
+      closeLiveStream(serverBase, apiKey, liveStreamId);
+    }
+  }
+
+  return {
+    resolveStreamUrl,
+    requestBurnInUrl,
+    openLiveStream,
+    setActiveTranscode,
+    stopActiveTranscode,
+  };
+}
+
+module.exports = {
+  createTranscodingManager,
+};
@@ -0,0 +1,215 @@
+'use strict';
+
+// Smallest trickplay width to use when the server has several; larger ones
+// only cost bandwidth at the size the preview is shown.
+const PREFERRED_TRICKPLAY_WIDTH = 320;
+// How long the preview stays up after the last seek
+const PREVIEW_DISPLAY_MS = 1500;
+
+/**
+ * The trickplay resolution to use for a media source. Jellyfin keys its
+ * trickplay info by media source id, then by thumbnail width.
+ */
+function pickTrickplayInfo(trickplay, mediaSourceId) {
+  if (!trickplay) return null;
+
+  const byWidth = trickplay[mediaSourceId] || trickplay[Object.keys(trickplay)[0]];
+  if (!byWidth) return null;
+
+  const widths = Object.keys(byWidth)
+    .map(Number)
+    .filter((width) => width > 0)
+    .sort((left, right) => left - right);
+  if (widths.length === 0) return null;
+
+  const width =
+    widths.find((candidate) => candidate >= PREFERRED_TRICKPLAY_WIDTH) || widths[widths.length - 1];
+  return byWidth[width] ? { width, ...byWidth[width] } : null;
+}
+
+/**
+ * Seek previews from the trickplay tile sheets Jellyfin 10.9+ generates. IINA
+ * cannot build thumbnails for a remote stream, so a sheet is fetched through
+ * @tmp the first time a seek lands in its range and kept in memory, and the
+ * frame at the seek target is shown in an overlay while seeking.
+ */
+function createTrickplayManager({
+  mpv,
+  http,
+  utils,
+  file,
+  overlay,
+  preferences,
+  fetchItemMetadata,
+  log,
+}) {
+  let trickplay = null;
+  // Tile index -> promise of its data URL; the overlay webview cannot read
+  // files in @tmp. Seeks into a tile that is still loading share its request.
+  let tileImages = new Map();
+  // Bumped per file, so metadata still loading for the previous one is dropped
+  let loadCounter = 0;
+  let previewToken = 0;
+  let hideTimer = null;
+  let overlayLoaded = false;
+
+  function loadOverlay() {
+    overlay.loadFile('src/ui/overlay/trickplay.html');
+    overlayLoaded = true;
+  }
+
+  function hidePreview() {
+    if (hideTimer) {
+      clearTimeout(hideTimer);
+      hideTimer = null;
+    }
+    if (overlayLoaded) {
+      overlay.hide();
+    }
+  }
+
+  function clearTrickplay() {
+    loadCounter++;
+    trickplay = null;
+    tileImages = new Map();
+    hidePreview();
+  }
+
+  function tilePath(index) {
+    const sanitizedItemId = String(trickplay.itemId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return `@tmp/jellyfin_trickplay_${sanitizedItemId}_${trickplay.width}_${index}.jpg`;
+  }
+
+  function loadTile(index) {
+    if (!tileImages.has(index)) {
+      const images = tileImages;
+      const request = readTile(index).catch((error) => {
+        // Dropped so the next seek into the tile tries again
+        if (images.get(index) === request) images.delete(index);
+        throw error;
+      });
+      images.set(index, request);
+    }
+    return tileImages.get(index);
+  }
+
+  async function readTile(index) {
+    const current = trickplay;
+    const localPath = tilePath(index);
+
+    const { serverBase, itemId, mediaSourceId, apiKey, width } = current;
+    const tileUrl = `${serverBase}/Videos/${itemId}/Trickplay/${width}/${index}.jpg?MediaSourceId=${mediaSourceId}&api_key=${apiKey}`;
+
+    try {
+      await http.download(tileUrl, localPath);
+      const result = await utils.exec('/usr/bin/base64', ['-i', utils.resolvePath(localPath)]);
+      if (result.status !== 0) {
+        throw new Error(`Could not read trickplay tile ${index}: ${result.stderr}`);
+      }
+      return `data:image/jpeg;base64,${result.stdout.replace(/\s/g, '')}`;
+    } finally {
+      // The data URL is what gets kept, so the file is not needed past here
+      removeTileFile(localPath);
+    }
+  }
+
+  function removeTileFile(localPath) {
+    try {
+      if (file.exists(localPath)) {
+        file.delete(localPath);
+      }
+    } catch (error) {
+      log(`Could not remove ${localPath}: ${error.message}`);
+    }
+  }
+
+  async function loadTrickplay(jellyfinInfo) {
+    clearTrickplay();
+    const loadId = loadCounter;
+
+    if (!preferences.get('trickplay_previews') || !jellyfinInfo) {
+      return;
+    }
+
+    const { serverBase, itemId, apiKey, mediaSourceId } = jellyfinInfo;
+
+    try {
+      const metadata = await fetchItemMetadata(serverBase, itemId, apiKey);
+      if (loadId !== loadCounter) return;
+
+      const info = pickTrickplayInfo(metadata && metadata.Trickplay, mediaSourceId || itemId);
+      if (!info || !info.ThumbnailCount) {
+        log(`No trickplay images for ${itemId}`);
+        return;
+      }
+
+      trickplay = {
+        serverBase,
+        itemId,
+        apiKey,
+        mediaSourceId: mediaSourceId || itemId,
+        ...info,
+      };
+
+      log(`Trickplay previews available at ${info.width}px for ${itemId}`);
+    } catch (error) {
+      log(`Error loading trickplay images: ${error.message}`);
+    }
+  }
+
+  async function showPreview(seconds) {
+    if (!trickplay || !overlayLoaded || !(seconds >= 0)) return;
+
+    const { Interval, ThumbnailCount, TileWidth, TileHeight, Width, Height } = trickplay;
+    const thumbnail = Math.min(Math.floor((seconds * 1000) / Interval), ThumbnailCount - 1);
+    const perTile = TileWidth * TileHeight;
+    const tile = Math.floor(thumbnail / perTile);
+    const position = thumbnail % perTile;
+    const token = ++previewToken;
+
+    try {
+      const image = await loadTile(tile);
+      // A later seek has already asked for another frame
+      if (token !== previewToken) return;
+
+      overlay.postMessage('trickplay-preview', {
+        image,
+        width: Width,
+        height: Height,
+        column: position % TileWidth,
+        row: Math.floor(position / TileWidth),
+      });
+      overlay.show();
+
+      if (hideTimer) clearTimeout(hideTimer);
+      hideTimer = setTimeout(hidePreview, PREVIEW_DISPLAY_MS);
+    } catch (error) {
+      log(`Error showing trickplay preview: ${error.message}`);
+    }
+  }
+
+  /**
+   * While mpv seeks, time-pos already holds the target, so the preview shows
+   * where the seek lands before the stream has caught up.
+   */
+  function handleSeekingChange() {
+    if (!trickplay) return;
+
+    try {
+      showPreview(mpv.getNumber('time-pos'));
+    } catch (error) {
+      log(`Error reading the seek position: ${error.message}`);
+    }
+  }
+
+  return {
+    loadOverlay,
+    loadTrickplay,
+    clearTrickplay,
+    handleSeekingChange,
+  };
+}
+
+module.exports = {
+  createTrickplayManager,
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Watched and favourite state of the playing item, changed from the menu.
+ * Uses the same /UserPlayedItems route as playback tracking, so it applies to
+ * whichever account the token belongs to.
+ */
+function createUserDataManager({
+  core,
+  http,
+  buildJellyfinHeaders,
+  fetchItemMetadata,
+  settleSessionWatched,
+  log,
+}) {
+  async function sendUserDataChange(target, route, enable) {
+    const { serverBase, itemId, apiKey } = target;
+    const url = `${serverBase}/${route}/${itemId}?api_key=${apiKey}`;
+    const headers = buildJellyfinHeaders(apiKey, { Accept: 'application/json' });
+
+    const response = enable
+      ? await http.post(url, { headers })
+      : await http.delete(url, { headers });
+    if (response.statusCode >= 400) {
+      throw new Error(`status ${response.statusCode}`);
+    }
+  }
+
+  async function fetchCurrentUserData(target) {
+    const metadata = await fetchItemMetadata(target.serverBase, target.itemId, target.apiKey, {
+      fresh: true,
+    });
+    return (metadata && metadata.UserData) || {};
+  }
+
+  async function togglePlayed(target) {
+    if (!target) {
+      core.osd('No Jellyfin media detected. Please open a Jellyfin URL first.');
+      return;
+    }
+
+    try {
+      const played = !(await fetchCurrentUserData(target)).Played;
+      log(`Marking ${target.itemId} as ${played ? 'watched' : 'unwatched'}`);
+      await sendUserDataChange(target, 'UserPlayedItems', played);
+      // Otherwise playback tracking would mark it again when it gets far enough
+      settleSessionWatched(target.itemId);
+      core.osd(played ? 'Marked as watched in Jellyfin' : 'Marked as unwatched in Jellyfin');
+    } catch (error) {
+      log(`Error changing the watched state: ${error.message}`);
+      core.osd('Failed to change the watched state');
+    }
+  }
+
+  async function toggleFavorite(target) {
+    if (!target) {
+      core.osd('No Jellyfin media detected. Please open a Jellyfin URL first.');
+      return;
+    }
+
+    try {
+      const favorite = !(await fetchCurrentUserData(target)).IsFavorite;
+      log(`${favorite ? 'Adding' : 'Removing'} ${target.itemId} as a favourite`);
+      await sendUserDataChange(target, 'UserFavoriteItems', favorite);
+      core.osd(favorite ? 'Added to Jellyfin favourites' : 'Removed from Jellyfin favourites');
+    } catch (error) {
+      log(`Error changing the favourite state: ${error.message}`);
+      core.osd('Failed to change the favourite state');
+    }
+  }
+
+  return {
+    togglePlayed,
+    toggleFavorite,
+  };
+}
+
+module.exports = {
+  createUserDataManager,
+};
@@ -0,0 +1,12 @@
+// Seek preview overlay: shows one thumbnail out of a trickplay tile sheet.
+const preview = document.getElementById('trickplayPreview');
+
+iina.onMessage('trickplay-preview', (data) => {
+  if (!data || !data.image) return;
+
+  preview.style.width = `${data.width}px`;
+  preview.style.height = `${data.height}px`;
+  preview.style.backgroundImage = `url("${data.image}")`;
+  preview.style.backgroundPosition = `-${data.column * data.width}px -${data.row * data.height}px`;
+  preview.style.display = 'block';
+});
@@ -302,6 +302,7 @@ window.createSidebarAuthServerMethods = function createSidebarAuthServerMethods(
 
     disconnectFromServer() {
       debugLog('Disconnecting from current server');
+      this.disconnectRemoteControl();
       this.currentUser = null;
       this.currentServer = null;
       this.activeServerId = null;
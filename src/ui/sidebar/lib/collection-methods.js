@@ -0,0 +1,142 @@
+window.createSidebarCollectionMethods = function createSidebarCollectionMethods(debugLog) {
+  return {
+    async loadCollections() {
+      if (!this.currentServer || !this.currentUser) return;
+
+      const container = document.getElementById('collectionsList');
+      container.innerHTML = '<div class="loading">Loading collections...</div>';
+      const requestId = this.nextRequestId('collections');
+
+      try {
+        const params = new URLSearchParams({
+          userId: this.currentUser.Id,
+          IncludeItemTypes: 'BoxSet',
+          Recursive: true,
+          SortBy: 'SortName',
+          SortOrder: 'Ascending',
+          Fields: 'ChildCount,ImageTags,BackdropImageTags',
+          EnableImageTypes: 'Primary,Backdrop,Thumb',
+        });
+
+        const response = await this.getHttpClient().get(
+          `${this.currentServer.url}/Items?${params.toString()}`,
+          {
+            headers: {
+              'X-Emby-Token': this.currentServer.accessToken,
+            },
+          }
+        );
+
+        if (!this.isLatestRequest('collections', requestId)) return;
+
+        if (response.data && response.data.Items && response.data.Items.length > 0) {
+          this.renderMediaList(response.data.Items, container);
+        } else {
+          container.innerHTML = '<div class="empty-state">No collections found</div>';
+        }
+      } catch (error) {
+        debugLog('Error loading collections:', error);
+        if (!this.isLatestRequest('collections', requestId)) return;
+        container.innerHTML = '<div class="error">Failed to load collections</div>';
+      }
+    },
+
+    async showCollection(collection) {
+      this.selectedCollection = collection;
+      this.collectionItems = [];
+
+      document.getElementById('collectionSection').style.display = 'block';
+      document.getElementById('mainContent').style.display = 'none';
+      document.getElementById('collectionTitle').textContent = collection.Name || 'Collection';
+      document.getElementById('collectionSummary').textContent = '';
+      document.getElementById('playCollectionBtn').disabled = true;
+      this.scrollToTop();
+
+      const list = document.getElementById('collectionItemsList');
+      list.innerHTML = '<div class="loading">Loading collection...</div>';
+      const requestId = this.nextRequestId('collectionItems');
+
+      try {
+        // Release order, so a film series plays the way it came out
+        const params = new URLSearchParams({
+          userId: this.currentUser.Id,
+          ParentId: collection.Id,
+          SortBy: 'PremiereDate,ProductionYear,SortName',
+          SortOrder: 'Ascending',
+          Fields:
+            'Overview,UserData,RunTimeTicks,ProductionYear,PremiereDate,ImageTags,BackdropImageTags,MediaSources',
+          EnableImageTypes: 'Primary,Backdrop,Thumb',
+        });
+
+        const response = await this.getHttpClient().get(
+          `${this.currentServer.url}/Items?${params.toString()}`,
+          {
+            headers: {
+              'X-Emby-Token': this.currentServer.accessToken,
+            },
+          }
+        );
+
+        if (!this.isLatestRequest('collectionItems', requestId)) return;
+
+        this.collectionItems = (response.data && response.data.Items) || [];
+        this.renderMediaList(this.collectionItems, list, { showPlayFromStart: true });
+
+        const playable = this.getPlayableCollectionItems();
+        const unwatched = playable.filter((item) => !item.UserData?.Played);
+        document.getElementById('collectionSummary').textContent = playable.length
+          ? `${unwatched.length} of ${playable.length} unwatched`
+          : '';
+        document.getElementById('playCollectionBtn').disabled = playable.length === 0;
+      } catch (error) {
+        debugLog('Error loading collection:', error);
+        if (!this.isLatestRequest('collectionItems', requestId)) return;
+        list.innerHTML = '<div class="error">Failed to load collection</div>';
+      }
+    },
+
+    /**
+     * Members that can be streamed as they are; series and nested
+     * collections in a collection have to be opened on their own.
+     */
+    getPlayableCollectionItems() {
+      return (this.collectionItems || []).filter(
+        (item) => item.MediaType === 'Video' || item.MediaType === 'Audio'
+      );
+    },
+
+    /**
+     * Queue the members not watched yet, in release order, so the player
+     * moves on to the next one when each ends. A collection that has all
+     * been watched plays from the start again.
+     */
+    playCollection() {
+      const playable = this.getPlayableCollectionItems();
+      const unwatched = playable.filter((item) => !item.UserData?.Played);
+      const items = (unwatched.length > 0 ? unwatched : playable)
+        .map((item) => this.buildQueueEntry(item))
+        .filter((entry) => entry.streamUrl);
+
+      if (items.length === 0) {
+        debugLog('Nothing to play in the collection');
+        return;
+      }
+
+      debugLog(`Playing ${items.length} item(s) of ${this.selectedCollection?.Name}`);
+      if (typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('play-media-list', { items });
+      }
+    },
+
+    hideCollection(returnToMain = true) {
+      document.getElementById('collectionSection').style.display = 'none';
+      if (returnToMain) {
+        document.getElementById('mainContent').style.display = 'block';
+      }
+      this.selectedCollection = null;
+      this.collectionItems = [];
+      document.getElementById('collectionItemsList').innerHTML = '';
+      document.getElementById('playCollectionBtn').disabled = true;
+    },
+  };
+};
@@ -0,0 +1,305 @@
+window.createSidebarItemDetailMethods = function createSidebarItemDetailMethods(debugLog) {
+  // Items a click opens the detail pane for, rather than playing straight away
+  const DETAIL_TYPES = ['Movie', 'Episode', 'Video', 'MusicVideo'];
+  // Crew roles worth listing, in the order they are shown
+  const CREW_TYPES = ['Director', 'Writer', 'Producer'];
+  const CAST_LIMIT = 20;
+
+  return {
+    hasItemDetails(item) {
+      return Boolean(item) && DETAIL_TYPES.includes(item.Type);
+    },
+
+    /**
+     * Item and person pages open from each other's cast and filmography, so
+     * the pages passed through are kept on a stack. Back walks it and ends on
+     * the list the first page was opened from.
+     */
+    openDetailPage(sectionId, restoring = false) {
+      // Going back, the page above has already been taken off the stack
+      if (!restoring) {
+        const current = ['itemDetailSection', 'personSection'].find(
+          (id) => document.getElementById(id).style.display === 'block'
+        );
+
+        if (current) {
+          this.detailHistory.push(
+            current === 'itemDetailSection'
+              ? { item: this.detailItem }
+              : { person: this.selectedPerson }
+          );
+          document.getElementById(current).style.display = 'none';
+        } else {
+          this.detailHistory = [];
+          this.detailReturnSection =
+            document.getElementById('collectionSection').style.display === 'block'
+              ? 'collectionSection'
+              : 'mainContent';
+          document.getElementById(this.detailReturnSection).style.display = 'none';
+        }
+      }
+
+      document.getElementById(sectionId).style.display = 'block';
+    },
+
+    closeDetailPage(sectionId, returnToView) {
+      document.getElementById(sectionId).style.display = 'none';
+      const previous = returnToView ? (this.detailHistory || []).pop() : null;
+
+      if (previous && previous.item) {
+        this.showItemDetails(previous.item, true);
+      } else if (previous && previous.person) {
+        this.showPerson(previous.person, true);
+      } else {
+        if (returnToView) {
+          document.getElementById(this.detailReturnSection || 'mainContent').style.display =
+            'block';
+        }
+        this.detailHistory = [];
+        this.detailReturnSection = null;
+      }
+    },
+
+    /**
+     * The detail pane opens in place of the list the item was picked from,
+     * and Back goes to that list again.
+     */
+    async showItemDetails(item, restoring = false) {
+      if (!this.currentServer || !this.currentUser || !item) return;
+
+      this.openDetailPage('itemDetailSection', restoring);
+
+      // The list entry is shown straight away, and replaced by the full item
+      this.renderItemDetails(item);
+      document.getElementById('itemDetailBody').innerHTML =
+        '<div class="loading">Loading details...</div>';
+      this.scrollToTop();
+
+      const requestId = this.nextRequestId('itemDetail');
+
+      try {
+        const params = new URLSearchParams({ userId: this.currentUser.Id });
+        const details = await this.apiRequest('GET', `/Items/${item.Id}?${params.toString()}`);
+        if (!this.isLatestRequest('itemDetail', requestId)) return;
+        this.renderItemDetails(details || item);
+      } catch (error) {
+        debugLog('Error loading item details:', error);
+        if (!this.isLatestRequest('itemDetail', requestId)) return;
+        document.getElementById('itemDetailBody').innerHTML =
+          '<div class="error">Failed to load details</div>';
+      }
+    },
+
+    renderItemDetails(item) {
+      this.detailItem = item;
+
+      const backdrop = document.getElementById('itemDetailBackdrop');
+      const backdropUrl = this.getBackdropUrl(item);
+      backdrop.style.backgroundImage = backdropUrl ? `url("${backdropUrl}")` : '';
+      backdrop.style.display = backdropUrl ? 'block' : 'none';
+
+      let title = item.Name || 'Unknown Title';
+      if (item.Type === 'Episode' && item.SeriesName) {
+        const season = item.ParentIndexNumber ?? '?';
+        const episode = item.IndexNumber ?? '?';
+        title = `${item.SeriesName} - S${season}E${episode} - ${title}`;
+      }
+      document.getElementById('itemDetailTitle').textContent = title;
+      document.getElementById('itemDetailTagline').textContent =
+        (item.Taglines && item.Taglines[0]) || '';
+
+      const facts = [
+        item.ProductionYear,
+        this.formatRuntime(item.RunTimeTicks),
+        item.OfficialRating,
+        item.CommunityRating ? `★ ${item.CommunityRating.toFixed(1)}` : null,
+        item.CriticRating ? `Critics ${item.CriticRating}%` : null,
+      ].filter(Boolean);
+      document.getElementById('itemDetailFacts').textContent = facts.join(' · ');
+
+      this.updateItemDetailButtons();
+
+      const sections = [];
+      if (item.Overview) {
+        sections.push(`<p class="detail-overview">${this.escapeHtml(item.Overview)}</p>`);
+      }
+      if (item.Genres && item.Genres.length > 0) {
+        sections.push(this.renderDetailFact('Genres', item.Genres.join(', ')));
+      }
+      if (item.Studios && item.Studios.length > 0) {
+        sections.push(
+          this.renderDetailFact('Studios', item.Studios.map((studio) => studio.Name).join(', '))
+        );
+      }
+      sections.push(this.renderMediaInfo(item));
+
+      const people = item.People || [];
+      const cast = people.filter((person) => person.Type === 'Actor').slice(0, CAST_LIMIT);
+      const crew = CREW_TYPES.flatMap((type) => people.filter((person) => person.Type === type));
+      if (cast.length > 0) {
+        sections.push(`<div class="detail-heading">Cast</div>${this.renderPeople(cast)}`);
+      }
+      if (crew.length > 0) {
+        sections.push(`<div class="detail-heading">Crew</div>${this.renderPeople(crew)}`);
+      }
+
+      const body = document.getElementById('itemDetailBody');
+      body.innerHTML = sections.filter(Boolean).join('');
+
+      body.querySelectorAll('.person-card').forEach((card) => {
+        const person = people.find((entry) => entry.Id === card.dataset.personId);
+        if (!person) return;
+        card.addEventListener('click', () => {
+          this.showPerson(person);
+        });
+      });
+    },
+
+    getBackdropUrl(item) {
+      const base = this.currentServer.url;
+      const token = this.currentServer.accessToken;
+      if (item.BackdropImageTags && item.BackdropImageTags.length > 0) {
+        return `${base}/Items/${item.Id}/Images/Backdrop?maxWidth=640&quality=80&api_key=${token}`;
+      }
+      if (item.ParentBackdropItemId) {
+        return `${base}/Items/${item.ParentBackdropItemId}/Images/Backdrop?maxWidth=640&quality=80&api_key=${token}`;
+      }
+      return this.getThumbnailUrl(item, 320);
+    },
+
+    renderDetailFact(label, value) {
+      if (!value) return '';
+      return `<div class="detail-fact"><span>${this.escapeHtml(label)}</span>${this.escapeHtml(value)}</div>`;
+    },
+
+    /**
+     * Technical facts from the first version's streams: the picture, each
+     * audio track and the subtitle languages.
+     */
+    renderMediaInfo(item) {
+      const source = (item.MediaSources && item.MediaSources[0]) || null;
+      const streams = (source && source.MediaStreams) || item.MediaStreams || [];
+      if (streams.length === 0) return '';
+
+      const videoStream = streams.find((stream) => stream.Type === 'Video');
+      const dynamicRange =
+        videoStream && videoStream.VideoRange && videoStream.VideoRange !== 'SDR'
+          ? videoStream.VideoRangeType || videoStream.VideoRange
+          : null;
+      const video = videoStream
+        ? [
+            this.describeResolution(videoStream),
+            videoStream.Codec ? videoStream.Codec.toUpperCase() : null,
+            dynamicRange,
+          ]
+            .filter(Boolean)
+            .join(' · ')
+        : '';
+
+      const audio = streams
+        .filter((stream) => stream.Type === 'Audio')
+        .map((stream) =>
+          [
+            stream.Language ? stream.Language.toUpperCase() : null,
+            stream.Codec ? stream.Codec.toUpperCase() : null,
+            this.describeAudioChannels(stream),
+          ]
+            .filter(Boolean)
+            .join(' ')
+        )
+        .filter(Boolean)
+        .join(', ');
+
+      const subtitles = streams
+        .filter((stream) => stream.Type === 'Subtitle')
+        .map((stream) => stream.Language || stream.DisplayTitle || stream.Codec)
+        .filter(Boolean)
+        .map((language) => language.toUpperCase());
+
+      const facts = [
+        this.renderDetailFact('Video', video),
+        this.renderDetailFact('Audio', audio),
+        this.renderDetailFact('Subtitles', [...new Set(subtitles)].join(', ')),
+        source && item.MediaSources.length > 1
+          ? this.renderDetailFact('Versions', String(item.MediaSources.length))
+          : '',
+      ].join('');
+
+      return facts ? `<div class="detail-heading">Media Info</div>${facts}` : '';
+    },
+
+    describeAudioChannels(stream) {
+      if (stream.ChannelLayout) return stream.ChannelLayout;
+      if (!stream.Channels) return null;
+      if (stream.Channels === 1) return 'mono';
+      if (stream.Channels === 2) return 'stereo';
+      if (stream.Channels === 6) return '5.1';
+      if (stream.Channels === 8) return '7.1';
+      return `${stream.Channels}ch`;
+    },
+
+    renderPeople(people) {
+      const base = this.currentServer.url;
+      const token = this.currentServer.accessToken;
+
+      const cards = people.map((person) => {
+        const photo = person.PrimaryImageTag
+          ? `<img src="${this.escapeHtml(
+              `${base}/Items/${person.Id}/Images/Primary?maxWidth=96&tag=${person.PrimaryImageTag}&quality=90&api_key=${token}`
+            )}" loading="lazy" alt="" />`
+          : '';
+        const role = person.Type === 'Actor' ? person.Role : person.Type;
+
+        return `
+          <div class="person-card" data-person-id="${this.escapeHtml(person.Id || '')}">
+            <div class="person-photo">${photo}</div>
+            <div class="person-name">${this.escapeHtml(person.Name || '')}</div>
+            ${role ? `<div class="person-role">${this.escapeHtml(role)}</div>` : ''}
+          </div>
+        `;
+      });
+
+      return `<div class="person-row">${cards.join('')}</div>`;
+    },
+
+    updateItemDetailButtons() {
+      const item = this.detailItem;
+      const userData = (item && item.UserData) || {};
+      const canResume = userData.PlaybackPositionTicks > 0;
+
+      document.getElementById('itemResumeBtn').style.display = canResume ? '' : 'none';
+      document.getElementById('itemPlayBtn').textContent = canResume ? 'Play from Start' : 'Play';
+      document.getElementById('itemWatchedBtn').textContent = userData.Played
+        ? 'Mark Unwatched'
+        : 'Mark Watched';
+      document.getElementById('itemFavoriteBtn').textContent = userData.IsFavorite
+        ? '★ Favourite'
+        : '☆ Favourite';
+    },
+
+    playDetailItem(resume) {
+      const item = this.detailItem;
+      if (!item) return;
+      const canResume = item.UserData?.PlaybackPositionTicks > 0;
+      this.playMedia(item, { startFromBeginning: canResume && !resume });
+    },
+
+    toggleDetailPlayed() {
+      const item = this.detailItem;
+      if (!item) return;
+      this.toggleItemPlayed(item, () => this.updateItemDetailButtons());
+    },
+
+    toggleDetailFavorite() {
+      const item = this.detailItem;
+      if (!item) return;
+      this.toggleItemFavorite(item, () => this.updateItemDetailButtons());
+    },
+
+    hideItemDetails(returnToView = true) {
+      this.detailItem = null;
+      document.getElementById('itemDetailBody').innerHTML = '';
+      this.closeDetailPage('itemDetailSection', returnToView);
+    },
+  };
+};
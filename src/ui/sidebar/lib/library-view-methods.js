@@ -0,0 +1,261 @@
+window.createSidebarLibraryViewMethods = function createSidebarLibraryViewMethods(debugLog) {
+  // The tab each kind of library is browsed in. Playlists and collections
+  // have tabs of their own; books and photos are not browsable here.
+  const LIBRARY_TABS = {
+    movies: 'movies',
+    tvshows: 'series',
+    music: 'music',
+    livetv: 'livetv',
+    homevideos: 'library',
+    musicvideos: 'library',
+    mixed: 'library',
+  };
+
+  // What the generic library tab lists for each kind of library
+  const LIBRARY_ITEM_TYPES = {
+    homevideos: 'Video',
+    musicvideos: 'MusicVideo',
+    mixed: 'Movie,Series,Video,MusicVideo',
+  };
+
+  // Shown when the server's libraries cannot be listed: each tab then
+  // queries across all libraries, as the sidebar always used to
+  const FALLBACK_TABS = [
+    { tab: 'movies', name: 'Movies' },
+    { tab: 'series', name: 'Series' },
+    { tab: 'music', name: 'Music' },
+  ];
+
+  return {
+    /**
+     * The tab bar gets one tab per library from /UserViews, after Home.
+     */
+    async loadLibraryViews() {
+      if (!this.currentServer || !this.currentUser) return;
+
+      const requestId = this.nextRequestId('libraryViews');
+      let views = [];
+
+      try {
+        const params = new URLSearchParams({ userId: this.currentUser.Id });
+        const response = await this.getHttpClient().get(
+          `${this.currentServer.url}/UserViews?${params.toString()}`,
+          {
+            headers: {
+              'X-Emby-Token': this.currentServer.accessToken,
+            },
+          }
+        );
+        if (!this.isLatestRequest('libraryViews', requestId)) return;
+
+        views = ((response.data && response.data.Items) || []).filter(
+          // Libraries with no type set are mixed ones
+          (view) => LIBRARY_TABS[view.CollectionType || 'mixed']
+        );
+      } catch (error) {
+        debugLog('Error loading libraries:', error);
+        if (!this.isLatestRequest('libraryViews', requestId)) return;
+      }
+
+      this.libraryViews = views;
+      this.renderLibraryTabs();
+
+      if (views.length > 0 && typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('get-library-view', {
+          serverUrl: this.currentServer.url,
+          userId: this.currentUser.Id,
+        });
+      }
+    },
+
+    renderLibraryTabs() {
+      const tabNav = document.querySelector('.tab-nav');
+      tabNav.querySelectorAll('.library-tab').forEach((button) => button.remove());
+
+      const tabs =
+        this.libraryViews && this.libraryViews.length > 0
+          ? this.libraryViews.map((view) => ({
+              tab: LIBRARY_TABS[view.CollectionType || 'mixed'],
+              name: view.Name,
+              viewId: view.Id,
+            }))
+          : FALLBACK_TABS;
+
+      const anchor = tabNav.querySelector('[data-tab="search"]');
+      tabs.forEach(({ tab, name, viewId }) => {
+        const button = document.createElement('button');
+        button.className = 'tab-button library-tab';
+        button.dataset.tab = tab;
+        button.dataset.viewId = viewId || '';
+        button.textContent = name;
+        tabNav.insertBefore(button, anchor);
+      });
+    },
+
+    /**
+     * Reopen the library last browsed on this server, once the plugin has
+     * said which one it was.
+     */
+    handleLibraryView(data) {
+      if (
+        !data ||
+        !data.viewId ||
+        !this.currentServer ||
+        data.serverUrl !== this.currentServer.url ||
+        data.userId !== this.currentUser?.Id
+      ) {
+        return;
+      }
+
+      const button = Array.from(document.querySelectorAll('.library-tab')).find(
+        (tab) => tab.dataset.viewId === data.viewId
+      );
+      // Only while nothing else has been picked since connecting
+      const homeActive = document.querySelector('.tab-button.active')?.dataset.tab === 'home';
+      if (button && homeActive) {
+        debugLog(`Reopening library ${button.textContent}`);
+        this.activateTab(button);
+      }
+    },
+
+    /**
+     * Switch to the library behind a tab. Its genres are only fetched again
+     * when it is a different library from the one the tab last showed.
+     */
+    selectLibraryView(tabName, viewId) {
+      const view = (this.libraryViews || []).find((item) => item.Id === viewId) || null;
+      if (!this.activeLibraries) this.activeLibraries = {};
+
+      const previous = this.activeLibraries[tabName];
+      const changed = previous === undefined || (previous && previous.Id) !== (view && view.Id);
+      this.activeLibraries[tabName] = view;
+
+      const title = document.getElementById(`${tabName}TabTitle`);
+      if (title) {
+        title.textContent =
+          (view && view.Name) || FALLBACK_TABS.find((tab) => tab.tab === tabName)?.name || '';
+      }
+
+      if (changed) {
+        this.loadLibraryGenres(tabName);
+        if (view && typeof iina !== 'undefined' && iina.postMessage) {
+          iina.postMessage('store-library-view', {
+            serverUrl: this.currentServer.url,
+            userId: this.currentUser.Id,
+            viewId: view.Id,
+          });
+        }
+      }
+    },
+
+    getActiveLibrary(tabName) {
+      return (this.activeLibraries && this.activeLibraries[tabName]) || null;
+    },
+
+    /**
+     * Scope a query to the library open in a tab, if there is one.
+     */
+    applyLibraryScope(params, tabName) {
+      const view = this.getActiveLibrary(tabName);
+      if (view) {
+        params.set('ParentId', view.Id);
+      }
+      return params;
+    },
+
+    /**
+     * Genres are listed for the library being browsed. The select goes back to
+     * "All Genres" straight away, so the list loading alongside is not
+     * filtered by a genre from the previous library.
+     */
+    loadLibraryGenres(tabName) {
+      const select = document.getElementById(`${tabName}GenreSelect`);
+      if (select) {
+        select.innerHTML = '<option value="all" selected>All Genres</option>';
+      }
+
+      if (tabName === 'music') {
+        document.getElementById('musicGenreMixBtn').disabled = true;
+        this.loadMusicGenres();
+      } else if (tabName === 'movies') {
+        this.loadGenres('movies', 'Movie');
+      } else if (tabName === 'series') {
+        this.loadGenres('series', 'Series');
+      } else if (tabName === 'library') {
+        this.loadGenres('library', this.getLibraryItemTypes());
+      }
+    },
+
+    getLibraryItemTypes() {
+      const view = this.getActiveLibrary('library');
+      return LIBRARY_ITEM_TYPES[(view && view.CollectionType) || 'mixed'];
+    },
+
+    /**
+     * Home video, music video and mixed libraries, with the same sort,
+     * filter and genre controls as the Movies tab.
+     */
+    async loadLibraryItems() {
+      if (!this.currentServer || !this.currentUser) return;
+
+      const container = document.getElementById('libraryList');
+      container.innerHTML = '<div class="loading">Loading library...</div>';
+      const requestId = this.nextRequestId('library');
+
+      try {
+        const sortValue = document.getElementById('librarySortSelect').value.split(',');
+        const filterValue = document.getElementById('libraryFilterSelect').value;
+        const genreValue = document.getElementById('libraryGenreSelect').value;
+
+        const params = new URLSearchParams({
+          userId: this.currentUser.Id,
+          IncludeItemTypes: this.getLibraryItemTypes(),
+          Recursive: true,
+          SortBy: sortValue[0],
+          SortOrder: sortValue[1],
+          Fields: 'Overview,UserData,RunTimeTicks,ProductionYear,ImageTags,BackdropImageTags',
+          EnableImageTypes: 'Primary,Backdrop,Thumb',
+          Limit: 50,
+        });
+        this.applyLibraryScope(params, 'library');
+
+        if (filterValue === 'unwatched') {
+          params.append('IsPlayed', 'false');
+        } else if (filterValue === 'favorites') {
+          params.append('Filters', 'IsFavorite');
+        }
+
+        if (genreValue !== 'all') {
+          params.append('Genres', genreValue);
+        }
+
+        const response = await this.getHttpClient().get(
+          `${this.currentServer.url}/Items?${params.toString()}`,
+          {
+            headers: {
+              'X-Emby-Token': this.currentServer.accessToken,
+            },
+          }
+        );
+
+        if (!this.isLatestRequest('library', requestId)) return;
+
+        if (response.data && response.data.Items && response.data.Items.length > 0) {
+          this.renderMediaList(response.data.Items, container);
+        } else {
+          container.innerHTML = '<div class="empty-state">This library is empty</div>';
+        }
+      } catch (error) {
+        debugLog('Error loading library:', error);
+        if (!this.isLatestRequest('library', requestId)) return;
+        container.innerHTML = '<div class="error">Failed to load library</div>';
+      }
+    },
+
+    clearLibraryViews() {
+      this.libraryViews = [];
+      this.activeLibraries = {};
+      document.querySelectorAll('.library-tab').forEach((button) => button.remove());
+    },
+  };
+};
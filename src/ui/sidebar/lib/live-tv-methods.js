@@ -0,0 +1,460 @@
+window.createSidebarLiveTvMethods = function createSidebarLiveTvMethods(debugLog) {
+  // How far ahead the guide looks, and how wide one column of it is
+  const GUIDE_HOURS = 3;
+  const GUIDE_SLOT_MINUTES = 30;
+  // The guide asks for programmes of this many channels at most
+  const GUIDE_CHANNEL_LIMIT = 50;
+
+  return {
+    loadLiveTv() {
+      const view = document.getElementById('liveTvViewSelect').value;
+      if (view === 'guide') {
+        this.loadLiveTvGuide();
+      } else if (view === 'recordings') {
+        this.loadLiveTvRecordings();
+      } else {
+        this.loadLiveTvChannels();
+      }
+    },
+
+    async fetchLiveTvChannels() {
+      const params = new URLSearchParams({
+        userId: this.currentUser.Id,
+        AddCurrentProgram: true,
+        EnableImageTypes: 'Primary',
+        Limit: 200,
+      });
+      const data = await this.apiRequest('GET', `/LiveTv/Channels?${params.toString()}`);
+      return (data && data.Items) || [];
+    },
+
+    async loadLiveTvChannels() {
+      if (!this.currentServer || !this.currentUser) return;
+
+      const container = document.getElementById('liveTvList');
+      container.innerHTML = '<div class="loading">Loading channels...</div>';
+      const requestId = this.nextRequestId('liveTv');
+
+      try {
+        const channels = await this.fetchLiveTvChannels();
+        if (!this.isLatestRequest('liveTv', requestId)) return;
+
+        if (channels.length === 0) {
+          container.innerHTML = '<div class="empty-state">No channels found</div>';
+          return;
+        }
+
+        container.innerHTML = '';
+        channels.forEach((channel) => {
+          container.appendChild(this.createChannelElement(channel));
+        });
+      } catch (error) {
+        debugLog('Error loading channels:', error);
+        if (!this.isLatestRequest('liveTv', requestId)) return;
+        container.innerHTML = '<div class="error">Failed to load channels</div>';
+      }
+    },
+
+    createChannelElement(channel) {
+      const channelEl = document.createElement('div');
+      channelEl.className = 'media-item';
+      channelEl.dataset.itemId = channel.Id;
+
+      const program = channel.CurrentProgram;
+      const thumbUrl = this.getThumbnailUrl(channel);
+      const name = [channel.ChannelNumber, channel.Name].filter(Boolean).join(' ');
+      const progress = program ? this.getProgramProgress(program) : 0;
+
+      const thumbHtml = thumbUrl
+        ? `<div class="thumb-wrapper channel-logo">
+           <img class="list-thumb" src="${this.escapeHtml(thumbUrl)}" loading="lazy" alt="" onerror="this.parentElement.classList.add('thumb-fallback'); this.style.display='none';" />
+           <div class="play-overlay">&#9654;</div>
+         </div>`
+        : `<div class="thumb-wrapper thumb-fallback"><div class="play-overlay">&#9654;</div></div>`;
+
+      channelEl.innerHTML = `
+        ${thumbHtml}
+        <div class="list-body">
+          <div class="media-title">${this.escapeHtml(name || 'Unknown Channel')}</div>
+          ${
+            program
+              ? `<div class="media-subtitle">${this.escapeHtml(program.Name || '')}</div>
+                 <div class="media-meta">${this.escapeHtml(this.formatProgramTime(program))}</div>
+                 <div class="program-progress"><div style="width: ${progress}%"></div></div>`
+              : ''
+          }
+          <div class="media-actions">
+            <button class="button media-action-btn" data-action="watch">Watch</button>
+            ${
+              program
+                ? '<button class="button secondary media-action-btn" data-action="program">Programme</button>'
+                : ''
+            }
+          </div>
+        </div>
+      `;
+
+      channelEl.querySelectorAll('.media-action-btn').forEach((button) => {
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          if (button.dataset.action === 'program') {
+            this.showProgram(program);
+          } else {
+            this.playLiveChannel(channel);
+          }
+        });
+      });
+
+      channelEl.addEventListener('click', () => {
+        this.playLiveChannel(channel);
+      });
+
+      return channelEl;
+    },
+
+    getProgramProgress(program) {
+      const start = new Date(program.StartDate).getTime();
+      const end = new Date(program.EndDate).getTime();
+      if (!(end > start)) return 0;
+      return Math.min(100, Math.max(0, ((Date.now() - start) / (end - start)) * 100));
+    },
+
+    formatClockTime(date) {
+      return new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    },
+
+    formatProgramTime(program) {
+      if (!program.StartDate || !program.EndDate) return '';
+      return `${this.formatClockTime(program.StartDate)} – ${this.formatClockTime(program.EndDate)}`;
+    },
+
+    /**
+     * The next few hours of programmes, one row per channel. Each programme
+     * is placed by its start and length within the window.
+     */
+    async loadLiveTvGuide() {
+      if (!this.currentServer || !this.currentUser) return;
+
+      const container = document.getElementById('liveTvList');
+      container.innerHTML = '<div class="loading">Loading guide...</div>';
+      const requestId = this.nextRequestId('liveTv');
+
+      try {
+        const channels = (await this.fetchLiveTvChannels()).slice(0, GUIDE_CHANNEL_LIMIT);
+        if (!this.isLatestRequest('liveTv', requestId)) return;
+
+        if (channels.length === 0) {
+          container.innerHTML = '<div class="empty-state">No channels found</div>';
+          return;
+        }
+
+        // The window starts on the half hour, as guides do
+        const slot = GUIDE_SLOT_MINUTES * 60000;
+        const windowStart = Math.floor(Date.now() / slot) * slot;
+        const windowEnd = windowStart + GUIDE_HOURS * 3600000;
+
+        const params = new URLSearchParams({
+          UserId: this.currentUser.Id,
+          ChannelIds: channels.map((channel) => channel.Id).join(','),
+          MinEndDate: new Date(windowStart).toISOString(),
+          MaxStartDate: new Date(windowEnd).toISOString(),
+          SortBy: 'StartDate',
+          EnableImages: false,
+        });
+        const data = await this.apiRequest('GET', `/LiveTv/Programs?${params.toString()}`);
+        if (!this.isLatestRequest('liveTv', requestId)) return;
+
+        const programsByChannel = new Map();
+        ((data && data.Items) || []).forEach((program) => {
+          if (!programsByChannel.has(program.ChannelId)) {
+            programsByChannel.set(program.ChannelId, []);
+          }
+          programsByChannel.get(program.ChannelId).push(program);
+        });
+
+        this.renderLiveTvGuide(container, channels, programsByChannel, windowStart, windowEnd);
+      } catch (error) {
+        debugLog('Error loading guide:', error);
+        if (!this.isLatestRequest('liveTv', requestId)) return;
+        container.innerHTML = '<div class="error">Failed to load the guide</div>';
+      }
+    },
+
+    renderLiveTvGuide(container, channels, programsByChannel, windowStart, windowEnd) {
+      const span = windowEnd - windowStart;
+      const position = (time) =>
+        ((Math.min(Math.max(time, windowStart), windowEnd) - windowStart) / span) * 100;
+
+      const guide = document.createElement('div');
+      guide.className = 'guide-grid';
+
+      let timesHtml = '';
+      for (let time = windowStart; time < windowEnd; time += GUIDE_SLOT_MINUTES * 60000) {
+        timesHtml += `<span style="left: ${position(time)}%">${this.escapeHtml(this.formatClockTime(time))}</span>`;
+      }
+      guide.innerHTML = `
+        <div class="guide-row guide-times">
+          <div class="guide-channel"></div>
+          <div class="guide-track">${timesHtml}</div>
+        </div>
+      `;
+
+      channels.forEach((channel) => {
+        const row = document.createElement('div');
+        row.className = 'guide-row';
+        row.innerHTML = `
+          <div class="guide-channel" title="${this.escapeHtml(channel.Name || '')}">
+            ${this.escapeHtml(channel.ChannelNumber || channel.Name || '')}
+          </div>
+          <div class="guide-track"></div>
+        `;
+
+        row.querySelector('.guide-channel').addEventListener('click', () => {
+          this.playLiveChannel(channel);
+        });
+
+        const track = row.querySelector('.guide-track');
+        (programsByChannel.get(channel.Id) || []).forEach((program) => {
+          const left = position(new Date(program.StartDate).getTime());
+          const width = position(new Date(program.EndDate).getTime()) - left;
+          if (width <= 0) return;
+
+          const cell = document.createElement('div');
+          cell.className = `guide-program${program.TimerId ? ' recording' : ''}`;
+          cell.style.left = `${left}%`;
+          cell.style.width = `${width}%`;
+          cell.title = `${program.Name || ''} (${this.formatProgramTime(program)})`;
+          cell.textContent = program.Name || '';
+          cell.addEventListener('click', () => {
+            this.showProgram(program);
+          });
+          track.appendChild(cell);
+        });
+
+        guide.appendChild(row);
+      });
+
+      container.innerHTML = '';
+      container.appendChild(guide);
+    },
+
+    /**
+     * Recordings view: what is scheduled, then what has been recorded.
+     */
+    async loadLiveTvRecordings() {
+      if (!this.currentServer || !this.currentUser) return;
+
+      const container = document.getElementById('liveTvList');
+      container.innerHTML = '<div class="loading">Loading recordings...</div>';
+      const requestId = this.nextRequestId('liveTv');
+
+      try {
+        const recordingParams = new URLSearchParams({
+          userId: this.currentUser.Id,
+          Fields: 'Overview,UserData,RunTimeTicks,ImageTags,BackdropImageTags',
+          EnableImageTypes: 'Primary,Backdrop,Thumb',
+          Limit: 100,
+        });
+        const [timers, recordings] = await Promise.all([
+          this.apiRequest('GET', '/LiveTv/Timers'),
+          this.apiRequest('GET', `/LiveTv/Recordings?${recordingParams.toString()}`),
+        ]);
+        if (!this.isLatestRequest('liveTv', requestId)) return;
+
+        container.innerHTML = `
+          <div class="section-title">Scheduled</div>
+          <div id="liveTvTimersList"></div>
+          <div class="section-title" style="margin-top: 12px">Recorded</div>
+          <div id="liveTvRecordingsList"></div>
+        `;
+
+        const scheduled = ((timers && timers.Items) || []).filter(
+          (timer) => timer.Status !== 'Cancelled' && timer.Status !== 'Completed'
+        );
+        this.renderTimers(scheduled, document.getElementById('liveTvTimersList'));
+
+        const recorded = (recordings && recordings.Items) || [];
+        const recordingsList = document.getElementById('liveTvRecordingsList');
+        if (recorded.length > 0) {
+          this.renderMediaList(recorded, recordingsList, { showPlayFromStart: true });
+        } else {
+          recordingsList.innerHTML = '<div class="empty-state">No recordings yet</div>';
+        }
+      } catch (error) {
+        debugLog('Error loading recordings:', error);
+        if (!this.isLatestRequest('liveTv', requestId)) return;
+        container.innerHTML = '<div class="error">Failed to load recordings</div>';
+      }
+    },
+
+    renderTimers(timers, container) {
+      if (timers.length === 0) {
+        container.innerHTML = '<div class="empty-state">Nothing scheduled</div>';
+        return;
+      }
+
+      container.innerHTML = '';
+      timers.forEach((timer) => {
+        const timerEl = document.createElement('div');
+        timerEl.className = 'track-item';
+
+        const when = `${new Date(timer.StartDate).toLocaleDateString()} ${this.formatProgramTime(timer)}`;
+        timerEl.innerHTML = `
+          <div class="track-body">
+            <span class="track-title">${this.escapeHtml(timer.Name || 'Recording')}</span>
+            <span class="track-artist">${this.escapeHtml([timer.ChannelName, when].filter(Boolean).join(' · '))}${
+              timer.Status === 'InProgress' ? ' · Recording now' : ''
+            }</span>
+          </div>
+          <button class="button secondary track-queue-btn" title="Cancel recording">&times;</button>
+        `;
+
+        timerEl.querySelector('.track-queue-btn').addEventListener('click', async (e) => {
+          e.stopPropagation();
+          try {
+            await this.cancelRecording(timer.Id);
+          } catch (error) {
+            debugLog('Error cancelling the recording:', error);
+          }
+          this.loadLiveTvRecordings();
+        });
+
+        container.appendChild(timerEl);
+      });
+    },
+
+    playLiveChannel(channel) {
+      if (!this.currentServer || !this.currentUser || !channel) return;
+
+      debugLog(`Tuning in to ${channel.Name}`);
+      if (typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('play-live-channel', {
+          serverUrl: this.currentServer.url,
+          accessToken: this.currentServer.accessToken,
+          userId: this.currentUser.Id,
+          channelId: channel.Id,
+          title: channel.Name || 'Live TV',
+        });
+      }
+    },
+
+    /**
+     * A programme entry, from the channel list or the guide. It is fetched
+     * again so its recording state is current.
+     */
+    async showProgram(program) {
+      if (!program) return;
+
+      document.getElementById('mainContent').style.display = 'none';
+      document.getElementById('programSection').style.display = 'block';
+      document.getElementById('programTitle').textContent = program.Name || 'Programme';
+      document.getElementById('programDetails').innerHTML =
+        '<div class="loading">Loading programme...</div>';
+      document.getElementById('recordProgramBtn').disabled = true;
+      this.scrollToTop();
+
+      const requestId = this.nextRequestId('program');
+
+      try {
+        const params = new URLSearchParams({ userId: this.currentUser.Id });
+        const details = await this.apiRequest(
+          'GET',
+          `/LiveTv/Programs/${program.Id}?${params.toString()}`
+        );
+        if (!this.isLatestRequest('program', requestId)) return;
+        this.renderProgram(details || program);
+      } catch (error) {
+        debugLog('Error loading programme:', error);
+        if (!this.isLatestRequest('program', requestId)) return;
+        this.renderProgram(program);
+      }
+    },
+
+    renderProgram(program) {
+      this.selectedProgram = program;
+
+      const airingNow =
+        this.getProgramProgress(program) > 0 && this.getProgramProgress(program) < 100;
+      const when = `${new Date(program.StartDate).toLocaleDateString()} ${this.formatProgramTime(program)}`;
+      const episode = program.EpisodeTitle
+        ? `<div>${this.escapeHtml(program.EpisodeTitle)}</div>`
+        : '';
+
+      document.getElementById('programDetails').innerHTML = `
+        <div class="track-artist">${this.escapeHtml([program.ChannelName, when].filter(Boolean).join(' · '))}</div>
+        ${episode}
+        ${program.TimerId ? '<div class="media-meta">Recording scheduled</div>' : ''}
+        ${program.Overview ? `<p class="program-overview">${this.escapeHtml(program.Overview)}</p>` : ''}
+      `;
+
+      const recordBtn = document.getElementById('recordProgramBtn');
+      recordBtn.textContent = program.TimerId ? 'Cancel Recording' : 'Record';
+      // A programme that has ended can no longer be recorded
+      recordBtn.disabled = !program.TimerId && new Date(program.EndDate).getTime() < Date.now();
+      document.getElementById('watchProgramBtn').disabled = !airingNow;
+    },
+
+    async toggleProgramRecording() {
+      const program = this.selectedProgram;
+      if (!program) return;
+
+      const recordBtn = document.getElementById('recordProgramBtn');
+      recordBtn.disabled = true;
+
+      try {
+        if (program.TimerId) {
+          await this.cancelRecording(program.TimerId);
+        } else {
+          await this.scheduleRecording(program);
+        }
+      } catch (error) {
+        debugLog('Error changing the recording:', error);
+        document
+          .getElementById('programDetails')
+          .insertAdjacentHTML(
+            'beforeend',
+            '<div class="error">Could not change the recording</div>'
+          );
+        recordBtn.disabled = false;
+        return;
+      }
+
+      await this.showProgram(program);
+    },
+
+    /**
+     * The server fills in the recording defaults (padding, keep-until) for a
+     * programme; scheduling sends those back as the new timer.
+     */
+    async scheduleRecording(program) {
+      const params = new URLSearchParams({ programId: program.Id });
+      const defaults = await this.apiRequest('GET', `/LiveTv/Timers/Defaults?${params.toString()}`);
+      await this.apiRequest('POST', '/LiveTv/Timers', defaults);
+      debugLog(`Scheduled a recording of ${program.Name}`);
+    },
+
+    async cancelRecording(timerId) {
+      await this.apiRequest('DELETE', `/LiveTv/Timers/${encodeURIComponent(timerId)}`);
+      debugLog(`Cancelled recording ${timerId}`);
+    },
+
+    watchSelectedProgram() {
+      const program = this.selectedProgram;
+      if (!program) return;
+      this.playLiveChannel({ Id: program.ChannelId, Name: program.ChannelName });
+    },
+
+    hideProgram(returnToMain = true) {
+      document.getElementById('programSection').style.display = 'none';
+      if (returnToMain) {
+        document.getElementById('mainContent').style.display = 'block';
+        // Recording states may have changed while the programme was open
+        if (document.getElementById('livetvTab').classList.contains('active')) {
+          this.loadLiveTv();
+        }
+      }
+      this.selectedProgram = null;
+      document.getElementById('programDetails').innerHTML = '';
+    },
+  };
+};
@@ -0,0 +1,58 @@
+window.createSidebarLyricsMethods = function createSidebarLyricsMethods(debugLog) {
+  return {
+    /**
+     * Lyrics of the audio item the player is on, or null when it has none.
+     * Synced lyrics come with timestamps and are followed line by line.
+     */
+    handleLyrics(data) {
+      const section = document.getElementById('lyricsSection');
+      const list = document.getElementById('lyricsList');
+      this.lyricsItemId = data ? data.itemId : null;
+
+      if (!data || !data.lines || data.lines.length === 0) {
+        section.style.display = 'none';
+        list.innerHTML = '';
+        return;
+      }
+
+      debugLog(`Showing ${data.lines.length} lyric line(s) for ${data.itemId}`);
+      document.getElementById('lyricsTitle').textContent = [data.title, data.artist]
+        .filter(Boolean)
+        .join(' — ');
+
+      list.innerHTML = '';
+      data.lines.forEach((line) => {
+        const lineEl = document.createElement('div');
+        lineEl.className = 'lyrics-line';
+        lineEl.textContent = line.text;
+        list.appendChild(lineEl);
+      });
+
+      section.style.display = 'block';
+      this.highlightLyricsLine(data.currentLine);
+    },
+
+    handleLyricsLine(data) {
+      if (!data || data.itemId !== this.lyricsItemId) return;
+      this.highlightLyricsLine(data.index);
+    },
+
+    highlightLyricsLine(index) {
+      const lines = document.querySelectorAll('#lyricsList .lyrics-line');
+      lines.forEach((lineEl, i) => {
+        lineEl.classList.toggle('active', i === index);
+      });
+
+      const current = lines[index];
+      if (current) {
+        // Keep the current line in the middle of the panel, not the page
+        const list = document.getElementById('lyricsList');
+        list.scrollTop = current.offsetTop - list.offsetTop - list.clientHeight / 2;
+      }
+    },
+
+    hideLyrics() {
+      document.getElementById('lyricsSection').style.display = 'none';
+    },
+  };
+};
@@ -23,19 +23,22 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
     showMainContent() {
       document.getElementById('mainContent').style.display = 'block';
       this.scrollToTop();
-      this.loadGenres();
-      this.loadMusicGenres();
+      this.loadLibraryViews();
+      this.requestRemoteControl();
     },
 
-    async loadGenres() {
+    async loadGenres(tabName, includeItemTypes) {
       if (!this.currentServer || !this.currentUser) return;
 
+      const requestId = this.nextRequestId(`${tabName}Genres`);
+
       try {
         const params = new URLSearchParams({
           userId: this.currentUser.Id,
           Recursive: true,
-          IncludeItemTypes: 'Movie,Series',
+          IncludeItemTypes: includeItemTypes,
         });
+        this.applyLibraryScope(params, tabName);
 
         const fullUrl = `${this.currentServer.url}/Genres?${params.toString()}`;
 
@@ -45,20 +48,17 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
           },
         });
 
-        if (response.data && response.data.Items) {
-          const moviesGenreSelect = document.getElementById('moviesGenreSelect');
-          const seriesGenreSelect = document.getElementById('seriesGenreSelect');
+        if (!this.isLatestRequest(`${tabName}Genres`, requestId)) return;
 
-          const allOption = '<option value="all" selected>All Genres</option>';
-          let optionsHtml = allOption;
+        if (response.data && response.data.Items) {
+          let optionsHtml = '<option value="all" selected>All Genres</option>';
 
           response.data.Items.forEach((genre) => {
             const genreName = this.escapeHtml(genre.Name);
             optionsHtml += `<option value="${genreName}">${genreName}</option>`;
           });
 
-          moviesGenreSelect.innerHTML = optionsHtml;
-          seriesGenreSelect.innerHTML = optionsHtml;
+          document.getElementById(`${tabName}GenreSelect`).innerHTML = optionsHtml;
         }
       } catch (error) {
         debugLog('Error loading genres:', error);
@@ -70,6 +70,13 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
       // content area is going away, so they must not show it again.
       this.hideEpisodeSelection(false);
       this.hideAlbumTracks(false);
+      this.hideVersionSelection(false);
+      this.hidePlaylistItems(false);
+      this.hidePlaylistPicker(false);
+      this.hideCollection(false);
+      this.hideProgram(false);
+      this.hideItemDetails(false);
+      this.hidePerson(false);
       document.getElementById('mainContent').style.display = 'none';
     },
 
@@ -86,6 +93,11 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
       this.selectedAlbum = null;
       this.selectedTrack = null;
       this.albumTracks = [];
+      this.selectedPlaylist = null;
+      this.playlistItems = [];
+      this.selectedCollection = null;
+      this.collectionItems = [];
+      this.clearLibraryViews();
 
       // Clear media list containers
       const listIds = [
@@ -96,6 +108,10 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         'seriesList',
         'musicList',
         'searchResults',
+        'playlistsList',
+        'collectionsList',
+        'libraryList',
+        'liveTvList',
       ];
       for (const id of listIds) {
         const el = document.getElementById(id);
@@ -117,14 +133,25 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         'moviesFilterSelect',
         'seriesFilterSelect',
         'musicViewSelect',
+        'librarySortSelect',
+        'libraryFilterSelect',
+        'libraryGenreSelect',
+        'liveTvViewSelect',
       ];
       for (const id of selectIds) {
         const el = document.getElementById(id);
         if (el) el.selectedIndex = 0;
       }
+      const genreMixBtn = document.getElementById('musicGenreMixBtn');
+      if (genreMixBtn) genreMixBtn.disabled = true;
 
       // Hide filter panels
-      const filterPanelIds = ['moviesFilterPanel', 'seriesFilterPanel', 'musicFilterPanel'];
+      const filterPanelIds = [
+        'moviesFilterPanel',
+        'seriesFilterPanel',
+        'musicFilterPanel',
+        'libraryFilterPanel',
+      ];
       for (const id of filterPanelIds) {
         const el = document.getElementById(id);
         if (el) el.style.display = 'none';
@@ -227,7 +254,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         if (!this.isLatestRequest('continueWatching', requestId)) return;
 
         if (response.data && response.data.Items && response.data.Items.length > 0) {
-          this.renderMediaList(response.data.Items, container);
+          this.renderMediaList(response.data.Items, container, { showPlayFromStart: true });
         } else {
           container.innerHTML = '<div class="empty-state">Nothing to resume</div>';
         }
@@ -297,6 +324,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
           EnableImageTypes: 'Primary,Backdrop,Thumb',
           Limit: 50,
         });
+        this.applyLibraryScope(params, 'movies');
 
         if (filterValue === 'unwatched') {
           params.append('IsPlayed', 'false');
@@ -352,6 +380,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
           EnableImageTypes: 'Primary,Backdrop,Thumb',
           Limit: 50,
         });
+        this.applyLibraryScope(params, 'series');
 
         if (filterValue === 'unwatched') {
           params.append('IsPlayed', 'false');
@@ -425,6 +454,8 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
           searchTerm: term,
           limit: 20,
           includeItemTypes: selectedTypes.join(','),
+          // People are matched on their own, whatever the item types
+          includePeople: selectedTypes.includes('Person'),
         });
 
         const fullUrl = `${this.currentServer.url}/Search/Hints?${params.toString()}`;
@@ -449,7 +480,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
       }
     },
 
-    renderMediaList(items, container) {
+    renderMediaList(items, container, options = {}) {
       debugLog('renderMediaList called with ' + (items?.length || 0) + ' items');
       if (!items || items.length === 0) {
         container.innerHTML = '<div class="empty-state">No items found</div>';
@@ -459,7 +490,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
       container.innerHTML = '';
       items.forEach((item) => {
         debugLog('Creating media item element for: ' + item.Name + ' ' + item.Type);
-        const itemEl = this.createMediaItemElement(item);
+        const itemEl = this.createMediaItemElement(item, options);
         container.appendChild(itemEl);
       });
       debugLog('Finished rendering ' + items.length + ' media items');
@@ -513,7 +544,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
       return `${minutes}m`;
     },
 
-    createMediaItemElement(item) {
+    createMediaItemElement(item, options = {}) {
       const itemEl = document.createElement('div');
       itemEl.className = 'media-item';
       itemEl.dataset.itemId = item.Id;
@@ -533,6 +564,8 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         subtitle = `${item.SeriesName} - S${season}E${episode}`;
       } else if (item.Type === 'Series') {
         subtitle = 'TV Series';
+      } else if (item.Type === 'BoxSet') {
+        subtitle = item.ChildCount ? `Collection · ${item.ChildCount} items` : 'Collection';
       } else if (item.Type === 'Movie') {
         subtitle = 'Movie';
       } else if (item.Type === 'MusicAlbum') {
@@ -558,17 +591,38 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
                 <div class="media-meta">${this.escapeHtml(type)}</div>
                 <div class="media-actions">
                     <button class="button media-action-btn" data-action="select">
-                        ${item.Type === 'Series' ? 'Browse Episodes' : item.Type === 'MusicAlbum' ? 'View Tracks' : 'Play'}
+                        ${
+                          item.Type === 'Series'
+                            ? 'Browse Episodes'
+                            : item.Type === 'MusicAlbum'
+                              ? 'View Tracks'
+                              : item.Type === 'BoxSet'
+                                ? 'View Collection'
+                                : 'Play'
+                        }
+                    </button>
+                    ${
+                      options.showPlayFromStart && item.UserData?.PlaybackPositionTicks > 0
+                        ? `<button class="button secondary media-action-btn" data-action="play-from-start">
+                        From Start
+                    </button>`
+                        : ''
+                    }
+                    <button class="button secondary media-action-btn" data-action="add-to-playlist">
+                        + Playlist
                     </button>
                     <button class="button secondary media-action-btn" data-action="open-jellyfin">
                         Jellyfin
                     </button>
+                    ${this.userDataButtonsHtml('button secondary media-action-btn')}
                 </div>
             </div>
             ${duration ? `<div class="list-duration">${duration}</div>` : ''}
         `;
 
-      const actionButtons = itemEl.querySelectorAll('.media-action-btn');
+      this.bindUserDataButtons(itemEl, item);
+
+      const actionButtons = itemEl.querySelectorAll('.media-action-btn:not(.user-data-btn)');
       debugLog(`Adding event listeners to ${actionButtons.length} action buttons`);
       actionButtons.forEach((button, index) => {
         debugLog(`Setting up button ${index}: ${button.dataset.action}`);
@@ -579,6 +633,10 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
 
           if (action === 'select') {
             this.selectMediaItem(item);
+          } else if (action === 'play-from-start') {
+            this.playMedia(item, { startFromBeginning: true });
+          } else if (action === 'add-to-playlist') {
+            this.showPlaylistPicker(item);
           } else if (action === 'open-jellyfin') {
             this.openInJellyfin(item);
           }
@@ -587,7 +645,12 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
 
       itemEl.addEventListener('click', () => {
         debugLog('Media item clicked: ' + JSON.stringify(item));
-        this.selectMediaItem(item);
+        // Films and episodes open their details; Play plays them directly
+        if (this.hasItemDetails(item)) {
+          this.showItemDetails(item);
+        } else {
+          this.selectMediaItem(item);
+        }
       });
 
       return itemEl;
@@ -631,7 +694,15 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
                 <div class="media-meta">${this.escapeHtml(type)}</div>
                 <div class="media-actions">
                     <button class="button search-action-btn" data-action="select">
-                        ${hint.Type === 'Series' ? 'Browse Episodes' : hint.Type === 'MusicAlbum' ? 'View Tracks' : 'Play'}
+                        ${
+                          hint.Type === 'Series'
+                            ? 'Browse Episodes'
+                            : hint.Type === 'MusicAlbum'
+                              ? 'View Tracks'
+                              : hint.Type === 'Person'
+                                ? 'Filmography'
+                                : 'Play'
+                        }
                     </button>
                     <button class="button secondary search-action-btn" data-action="open-jellyfin">
                         Open in Jellyfin
@@ -686,12 +757,27 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         selectedEl.classList.add('selected');
       }
 
+      // A series or album listed in a collection or filmography opens in place of it
+      if (item.Type === 'Series' || item.Type === 'MusicAlbum') {
+        this.hideCollection(false);
+        this.hidePerson(false);
+      }
+
       if (item.Type === 'Series') {
         debugLog('Item is a Series, showing episode selection');
         this.showEpisodeSelection(item);
       } else if (item.Type === 'MusicAlbum') {
         debugLog('Item is a MusicAlbum, showing album tracks');
         this.showAlbumTracks(item);
+      } else if (item.Type === 'BoxSet') {
+        debugLog('Item is a BoxSet, showing the collection');
+        this.showCollection(item);
+      } else if (item.Type === 'Person') {
+        debugLog('Item is a Person, showing their filmography');
+        this.showPerson(item);
+      } else if (item.Type === 'TvChannel') {
+        debugLog('Item is a TV channel, tuning in');
+        this.playLiveChannel(item);
       } else {
         debugLog('Item is not a Series or Album, playing media: ' + item.Type);
         this.playMedia(item);
@@ -736,6 +822,8 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         '<div class="loading">Select a season</div>';
       this.selectedEpisode = null;
       this.selectedSeason = null;
+      this.seasons = [];
+      this.renderSeasonUserData();
       document.getElementById('playEpisodeBtn').disabled = true;
       document.getElementById('openEpisodeInJellyfinBtn').disabled = true;
 
@@ -757,6 +845,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         seasonSelect.innerHTML = '<option value="">Select a season...</option>';
 
         if (response.data && response.data.Items) {
+          this.seasons = response.data.Items;
           response.data.Items.forEach((season) => {
             if (season.IndexNumber !== undefined) {
               const option = document.createElement('option');
@@ -774,6 +863,8 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
     },
 
     async loadEpisodes(seasonId) {
+      this.renderSeasonUserData();
+
       if (!seasonId) {
         document.getElementById('episodeList').innerHTML =
           '<div class="loading">Select a season</div>';
@@ -844,9 +935,11 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
               <span class="ep-title">${this.escapeHtml(episodeNum)}. ${this.escapeHtml(title)}${availabilityIcon}</span>
             </div>
             ${duration ? `<span class="ep-duration">${duration}</span>` : ''}
+            ${isAvailable ? this.userDataButtonsHtml('button secondary track-queue-btn') : ''}
           `;
 
             if (isAvailable) {
+              this.bindUserDataButtons(episodeEl, episode);
               episodeEl.addEventListener('click', () => {
                 document
                   .querySelectorAll('.episode-item')
@@ -902,6 +995,8 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
       // Clear episode list and season dropdown so stale data isn't shown next time
       document.getElementById('episodeList').innerHTML = '';
       document.getElementById('seasonSelect').innerHTML = '';
+      this.seasons = [];
+      document.getElementById('seasonActions').style.display = 'none';
     },
 
     openInJellyfin(item) {
@@ -1014,6 +1109,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         EnableImageTypes: 'Primary',
         Limit: 50,
       });
+      this.applyLibraryScope(params, 'music');
 
       if (genreValue !== 'all') {
         params.append('Genres', genreValue);
@@ -1045,6 +1141,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         EnableImageTypes: 'Primary',
         Limit: 50,
       });
+      this.applyLibraryScope(params, 'music');
 
       if (genreValue !== 'all') {
         params.append('Genres', genreValue);
@@ -1078,6 +1175,7 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         EnableImageTypes: 'Primary',
         Limit: 50,
       });
+      this.applyLibraryScope(params, 'music');
 
       if (genreValue !== 'all') {
         params.append('Genres', genreValue);
@@ -1103,11 +1201,14 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
     async loadMusicGenres() {
       if (!this.currentServer || !this.currentUser) return;
 
+      const requestId = this.nextRequestId('musicGenres');
+
       try {
         const params = new URLSearchParams({
           userId: this.currentUser.Id,
           IncludeItemTypes: 'MusicAlbum,Audio',
         });
+        this.applyLibraryScope(params, 'music');
 
         const fullUrl = `${this.currentServer.url}/MusicGenres?${params.toString()}`;
 
@@ -1117,13 +1218,16 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
           },
         });
 
+        if (!this.isLatestRequest('musicGenres', requestId)) return;
+
         if (response.data && response.data.Items) {
           const musicGenreSelect = document.getElementById('musicGenreSelect');
           let optionsHtml = '<option value="all" selected>All Genres</option>';
 
           response.data.Items.forEach((genre) => {
             const genreName = this.escapeHtml(genre.Name);
-            optionsHtml += `<option value="${genreName}">${genreName}</option>`;
+            // The id is what an Instant Mix is seeded from
+            optionsHtml += `<option value="${genreName}" data-genre-id="${this.escapeHtml(genre.Id)}">${genreName}</option>`;
           });
 
           musicGenreSelect.innerHTML = optionsHtml;
@@ -1214,6 +1318,15 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
           ${subtitle ? `<div class="media-subtitle">${this.escapeHtml(subtitle)}</div>` : ''}
           <div class="media-actions">
             <button class="button media-action-btn" data-action="select">${actionLabel}</button>
+            <button class="button secondary media-action-btn" data-action="play-next">Play Next</button>
+            <button class="button secondary media-action-btn" data-action="add-to-queue">Queue</button>
+            <button class="button secondary media-action-btn" data-action="instant-mix">Mix</button>
+            ${
+              viewType === 'song'
+                ? ''
+                : '<button class="button secondary media-action-btn" data-action="shuffle">Shuffle</button>'
+            }
+            <button class="button secondary media-action-btn" data-action="add-to-playlist">+ Playlist</button>
             <button class="button secondary media-action-btn" data-action="open-jellyfin">Jellyfin</button>
           </div>
         </div>
@@ -1227,6 +1340,16 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
           const action = button.dataset.action;
           if (action === 'select') {
             this.selectMusicItem(item, viewType);
+          } else if (action === 'play-next') {
+            this.queueMusicItem(item, true);
+          } else if (action === 'add-to-queue') {
+            this.queueMusicItem(item, false);
+          } else if (action === 'instant-mix') {
+            this.startInstantMix(item);
+          } else if (action === 'shuffle') {
+            this.shuffleMusicItem(item);
+          } else if (action === 'add-to-playlist') {
+            this.showPlaylistPicker(item);
           } else if (action === 'open-jellyfin') {
             this.openInJellyfin(item);
           }
@@ -1311,6 +1434,8 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
       this.selectedAlbum = album;
       this.selectedTrack = null;
       document.getElementById('playAllTracksBtn').disabled = false;
+      document.getElementById('shuffleAlbumBtn').disabled = false;
+      document.getElementById('albumMixBtn').disabled = false;
       document.getElementById('openAlbumInJellyfinBtn').disabled = false;
 
       const tracksList = document.getElementById('albumTracksList');
@@ -1371,8 +1496,22 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
             ${artists ? `<span class="track-artist">${this.escapeHtml(artists)}</span>` : ''}
           </div>
           ${duration ? `<span class="track-duration">${duration}</span>` : ''}
+          <button class="button secondary track-queue-btn" data-action="play-next" title="Play next">Next</button>
+          <button class="button secondary track-queue-btn" data-action="add-to-queue" title="Add to queue">+</button>
+          <button class="button secondary track-queue-btn" data-action="add-to-playlist" title="Add to playlist">&#9835;</button>
         `;
 
+        trackEl.querySelectorAll('.track-queue-btn').forEach((button) => {
+          button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (button.dataset.action === 'add-to-playlist') {
+              this.showPlaylistPicker(track);
+            } else {
+              this.queueMusicItem(track, button.dataset.action === 'play-next');
+            }
+          });
+        });
+
         trackEl.addEventListener('click', () => {
           document.querySelectorAll('.track-item').forEach((el) => el.classList.remove('selected'));
           trackEl.classList.add('selected');
@@ -1390,11 +1529,9 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
         return;
       }
 
+      // Artist, album and artwork go along for the Queue tab
       const items = this.albumTracks
-        .map((track) => ({
-          streamUrl: this.buildStreamUrl(track),
-          title: track.Name || 'Unknown Title',
-        }))
+        .map((track) => this.buildQueueEntry(track))
         .filter((item) => item.streamUrl);
 
       if (items.length === 0) {
@@ -1429,6 +1566,8 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
       this.albumTracks = [];
       document.getElementById('albumTracksList').innerHTML = '';
       document.getElementById('playAllTracksBtn').disabled = true;
+      document.getElementById('shuffleAlbumBtn').disabled = true;
+      document.getElementById('albumMixBtn').disabled = true;
       document.getElementById('openAlbumInJellyfinBtn').disabled = true;
     },
 
@@ -1437,17 +1576,31 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
      * clients use; /Items/{id}/Download additionally requires the account to
      * have media download permission, which browsing does not.
      * static=true asks for the original file without transcoding.
+     * mediaSourceId picks one version of an item that has several.
      */
-    buildStreamUrl(item) {
+    buildStreamUrl(item, mediaSourceId) {
       if (!this.currentServer || !item || !item.Id) return null;
       const route = item.Type === 'Audio' ? 'Audio' : 'Videos';
-      return `${this.currentServer.url}/${route}/${item.Id}/stream?static=true&api_key=${this.currentServer.accessToken}`;
+      const versionParam = mediaSourceId
+        ? `&mediaSourceId=${encodeURIComponent(mediaSourceId)}`
+        : '';
+      return `${this.currentServer.url}/${route}/${item.Id}/stream?static=true${versionParam}&api_key=${this.currentServer.accessToken}`;
     },
 
-    async playMedia(item) {
+    async playMedia(item, options = {}) {
       debugLog('playMedia called with item type:', item.Type, 'name:', item.Name, 'id:', item.Id);
       try {
-        const streamUrl = this.buildStreamUrl(item);
+        const mediaSourceId = options.mediaSourceId || null;
+        if (!mediaSourceId) {
+          const mediaSources = await this.getMediaSources(item);
+          if (mediaSources.length > 1) {
+            debugLog(`Item has ${mediaSources.length} versions, showing version selection`);
+            this.showVersionSelection(item, mediaSources, options);
+            return;
+          }
+        }
+
+        const streamUrl = this.buildStreamUrl(item, mediaSourceId);
         if (!streamUrl) {
           debugLog('Cannot build a stream URL: missing server or item id');
           return;
@@ -1466,6 +1619,9 @@ window.createSidebarMediaMethods = function createSidebarMediaMethods(debugLog)
           iina.postMessage('play-media', {
             streamUrl: streamUrl,
             title: item.Name || 'Unknown Title',
+            mediaSourceId,
+            // Skips the resume position, for "From Start" on Continue Watching
+            startFromBeginning: Boolean(options.startFromBeginning),
           });
 
           if (document.getElementById('episodeSection').style.display !== 'none') {
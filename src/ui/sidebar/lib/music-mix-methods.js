@@ -0,0 +1,84 @@
+window.createSidebarMusicMixMethods = function createSidebarMusicMixMethods(debugLog) {
+  // Tracks in the list an Instant Mix starts with; the plugin fetches more
+  const INSTANT_MIX_SIZE = 50;
+
+  return {
+    playMusicList(items, instantMix = null) {
+      if (items.length === 0) {
+        debugLog('No playable tracks');
+        return;
+      }
+
+      if (typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('play-media-list', { items, instantMix });
+      } else {
+        debugLog('iina.postMessage not available, cannot play a track list');
+      }
+    },
+
+    /**
+     * Radio-style playback seeded from a song, album, artist or genre.
+     */
+    async startInstantMix(item) {
+      if (!this.currentServer || !this.currentUser || !item) return;
+
+      try {
+        const params = new URLSearchParams({
+          userId: this.currentUser.Id,
+          limit: INSTANT_MIX_SIZE,
+          fields: 'RunTimeTicks,ImageTags,AlbumArtist,Artists',
+        });
+
+        const response = await this.getHttpClient().get(
+          `${this.currentServer.url}/Items/${item.Id}/InstantMix?${params.toString()}`,
+          {
+            headers: {
+              'X-Emby-Token': this.currentServer.accessToken,
+            },
+          }
+        );
+
+        const tracks = ((response.data && response.data.Items) || []).filter(
+          (track) => track.Type === 'Audio'
+        );
+        debugLog(`Instant Mix from ${item.Name}: ${tracks.length} track(s)`);
+
+        const items = tracks.map((track) => this.buildQueueEntry(track)).filter((e) => e.streamUrl);
+        this.playMusicList(items, { seedId: item.Id });
+      } catch (error) {
+        debugLog('Error starting Instant Mix:', error);
+      }
+    },
+
+    async shuffleMusicItem(item) {
+      if (!this.currentServer || !this.currentUser || !item) return;
+
+      try {
+        const tracks = [...(await this.getQueueTracks(item))];
+        // Fisher-Yates
+        for (let i = tracks.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [tracks[i], tracks[j]] = [tracks[j], tracks[i]];
+        }
+
+        debugLog(`Shuffling ${tracks.length} track(s) of ${item.Name}`);
+        this.playMusicList(
+          tracks.map((track) => this.buildQueueEntry(track)).filter((e) => e.streamUrl)
+        );
+      } catch (error) {
+        debugLog('Error shuffling music:', error);
+      }
+    },
+
+    startGenreMix() {
+      const select = document.getElementById('musicGenreSelect');
+      const option = select.options[select.selectedIndex];
+      if (!option || !option.dataset.genreId) {
+        debugLog('No genre selected for an Instant Mix');
+        return;
+      }
+
+      this.startInstantMix({ Id: option.dataset.genreId, Name: option.value });
+    },
+  };
+};
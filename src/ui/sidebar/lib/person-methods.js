@@ -0,0 +1,118 @@
+window.createSidebarPersonMethods = function createSidebarPersonMethods(debugLog) {
+  // What a filmography is grouped into, in the order the groups are shown
+  const FILMOGRAPHY_GROUPS = [
+    { type: 'Movie', title: 'Movies' },
+    { type: 'Series', title: 'Series' },
+  ];
+
+  return {
+    /**
+     * A person page: photo and bio from /Persons, then the titles in the
+     * library they are credited in. Opened from the cast of an item or from
+     * search, and Back goes to whichever that was.
+     */
+    async showPerson(person, restoring = false) {
+      if (!this.currentServer || !this.currentUser || !person) return;
+
+      this.openDetailPage('personSection', restoring);
+
+      this.renderPersonHeader(person);
+      document.getElementById('personFilmography').innerHTML =
+        '<div class="loading">Loading filmography...</div>';
+      this.scrollToTop();
+
+      const requestId = this.nextRequestId('person');
+      const params = new URLSearchParams({ userId: this.currentUser.Id });
+
+      // The bio is a nicety; the filmography is shown without it
+      try {
+        const details = await this.apiRequest(
+          'GET',
+          `/Persons/${encodeURIComponent(person.Name)}?${params.toString()}`
+        );
+        if (!this.isLatestRequest('person', requestId)) return;
+        if (details) this.renderPersonHeader(details);
+      } catch (error) {
+        debugLog('Error loading person:', error);
+        if (!this.isLatestRequest('person', requestId)) return;
+      }
+
+      try {
+        const itemParams = new URLSearchParams({
+          userId: this.currentUser.Id,
+          PersonIds: person.Id,
+          IncludeItemTypes: FILMOGRAPHY_GROUPS.map((group) => group.type).join(','),
+          Recursive: true,
+          SortBy: 'PremiereDate,ProductionYear,SortName',
+          SortOrder: 'Descending',
+          Fields: 'Overview,UserData,RunTimeTicks,ProductionYear,ImageTags,BackdropImageTags',
+          EnableImageTypes: 'Primary,Backdrop,Thumb',
+        });
+        const data = await this.apiRequest('GET', `/Items?${itemParams.toString()}`);
+        if (!this.isLatestRequest('person', requestId)) return;
+        this.renderFilmography((data && data.Items) || []);
+      } catch (error) {
+        debugLog('Error loading filmography:', error);
+        if (!this.isLatestRequest('person', requestId)) return;
+        document.getElementById('personFilmography').innerHTML =
+          '<div class="error">Failed to load filmography</div>';
+      }
+    },
+
+    renderPersonHeader(person) {
+      this.selectedPerson = person;
+      document.getElementById('personName').textContent = person.Name || 'Unknown Person';
+
+      const photoTag = person.PrimaryImageTag || (person.ImageTags && person.ImageTags.Primary);
+      document.getElementById('personPhoto').innerHTML = photoTag
+        ? `<img src="${this.escapeHtml(
+            `${this.currentServer.url}/Items/${person.Id}/Images/Primary?maxWidth=128&tag=${photoTag}&quality=90&api_key=${this.currentServer.accessToken}`
+          )}" alt="" />`
+        : '';
+
+      const born = person.PremiereDate
+        ? `Born ${new Date(person.PremiereDate).toLocaleDateString()}`
+        : null;
+      const birthplace = person.ProductionLocations && person.ProductionLocations[0];
+      const died = person.EndDate ? `Died ${new Date(person.EndDate).toLocaleDateString()}` : null;
+      document.getElementById('personFacts').textContent = [
+        [born, birthplace].filter(Boolean).join(' in '),
+        died,
+      ]
+        .filter(Boolean)
+        .join(' · ');
+
+      document.getElementById('personOverview').textContent = person.Overview || '';
+    },
+
+    renderFilmography(items) {
+      const container = document.getElementById('personFilmography');
+      if (items.length === 0) {
+        container.innerHTML = '<div class="empty-state">Nothing in your library</div>';
+        return;
+      }
+
+      container.innerHTML = '';
+      FILMOGRAPHY_GROUPS.forEach(({ type, title }) => {
+        const groupItems = items.filter((item) => item.Type === type);
+        if (groupItems.length === 0) return;
+
+        const heading = document.createElement('div');
+        heading.className = 'detail-heading';
+        heading.textContent = `${title} (${groupItems.length})`;
+        const list = document.createElement('div');
+        list.className = 'media-list';
+
+        container.appendChild(heading);
+        container.appendChild(list);
+        this.renderMediaList(groupItems, list, { showPlayFromStart: true });
+      });
+    },
+
+    hidePerson(returnToView = true) {
+      this.selectedPerson = null;
+      document.getElementById('personFilmography').innerHTML = '';
+      this.closeDetailPage('personSection', returnToView);
+    },
+  };
+};
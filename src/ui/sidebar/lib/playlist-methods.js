@@ -0,0 +1,377 @@
+window.createSidebarPlaylistMethods = function createSidebarPlaylistMethods(debugLog) {
+  return {
+    async loadPlaylists() {
+      if (!this.currentServer || !this.currentUser) return;
+
+      const container = document.getElementById('playlistsList');
+      container.innerHTML = '<div class="loading">Loading playlists...</div>';
+      const requestId = this.nextRequestId('playlists');
+
+      try {
+        this.playlists = await this.fetchPlaylists();
+        if (!this.isLatestRequest('playlists', requestId)) return;
+
+        if (this.playlists.length === 0) {
+          container.innerHTML = '<div class="empty-state">No playlists yet</div>';
+          return;
+        }
+
+        container.innerHTML = '';
+        this.playlists.forEach((playlist) => {
+          container.appendChild(this.createPlaylistElement(playlist));
+        });
+      } catch (error) {
+        debugLog('Error loading playlists:', error);
+        if (!this.isLatestRequest('playlists', requestId)) return;
+        container.innerHTML = '<div class="error">Failed to load playlists</div>';
+      }
+    },
+
+    async fetchPlaylists() {
+      const params = new URLSearchParams({
+        userId: this.currentUser.Id,
+        IncludeItemTypes: 'Playlist',
+        Recursive: true,
+        SortBy: 'SortName',
+        SortOrder: 'Ascending',
+        Fields: 'ChildCount,ImageTags',
+      });
+
+      const data = await this.apiRequest('GET', `/Items?${params.toString()}`);
+      return (data && data.Items) || [];
+    },
+
+    createPlaylistElement(playlist) {
+      const playlistEl = document.createElement('div');
+      playlistEl.className = 'music-item';
+      playlistEl.dataset.itemId = playlist.Id;
+
+      const thumbUrl = this.getMusicThumbnailUrl(playlist);
+      const count = playlist.ChildCount ? `${playlist.ChildCount} items` : '';
+
+      playlistEl.innerHTML = `
+        ${
+          thumbUrl
+            ? `<div class="album-thumb-wrapper"><img class="album-thumb" src="${this.escapeHtml(thumbUrl)}" loading="lazy" alt="" /></div>`
+            : '<div class="album-thumb-wrapper thumb-fallback">📃</div>'
+        }
+        <div class="list-body">
+          <div class="media-title">${this.escapeHtml(playlist.Name || 'Untitled')}</div>
+          ${count ? `<div class="media-subtitle">${this.escapeHtml(count)}</div>` : ''}
+        </div>
+      `;
+
+      playlistEl.addEventListener('click', () => {
+        this.showPlaylistItems(playlist);
+      });
+
+      return playlistEl;
+    },
+
+    showCreatePlaylistForm(show = true) {
+      document.getElementById('playlistCreateForm').style.display = show ? 'flex' : 'none';
+      if (show) {
+        document.getElementById('playlistNameInput').focus();
+      }
+    },
+
+    /**
+     * Create a playlist, optionally with its first items. Returns its id.
+     */
+    async createPlaylist(name, itemIds = []) {
+      const trimmed = String(name || '').trim();
+      if (!trimmed) return null;
+
+      const data = await this.apiRequest('POST', '/Playlists', {
+        Name: trimmed,
+        Ids: itemIds,
+        UserId: this.currentUser.Id,
+      });
+      debugLog(`Created playlist ${trimmed}`);
+      return data && data.Id;
+    },
+
+    async submitCreatePlaylist() {
+      const input = document.getElementById('playlistNameInput');
+      try {
+        await this.createPlaylist(input.value);
+        input.value = '';
+        this.showCreatePlaylistForm(false);
+        this.loadPlaylists();
+      } catch (error) {
+        debugLog('Error creating playlist:', error);
+        document
+          .getElementById('playlistsList')
+          .insertAdjacentHTML(
+            'afterbegin',
+            '<div class="error">Failed to create the playlist</div>'
+          );
+      }
+    },
+
+    async showPlaylistItems(playlist) {
+      this.selectedPlaylist = playlist;
+      this.playlistItems = [];
+
+      document.getElementById('mainContent').style.display = 'none';
+      document.getElementById('playlistItemsSection').style.display = 'block';
+      document.getElementById('playlistItemsTitle').textContent = playlist.Name || 'Playlist';
+      document.getElementById('playlistRenameForm').style.display = 'none';
+      this.scrollToTop();
+
+      await this.loadPlaylistItems();
+    },
+
+    async loadPlaylistItems() {
+      const playlist = this.selectedPlaylist;
+      if (!playlist) return;
+
+      const list = document.getElementById('playlistItemsList');
+      list.innerHTML = '<div class="loading">Loading items...</div>';
+      const requestId = this.nextRequestId('playlistItems');
+
+      try {
+        const params = new URLSearchParams({
+          userId: this.currentUser.Id,
+          Fields: 'RunTimeTicks,ImageTags,AlbumArtist,Artists,SeriesName',
+        });
+        const data = await this.apiRequest(
+          'GET',
+          `/Playlists/${playlist.Id}/Items?${params.toString()}`
+        );
+        if (!this.isLatestRequest('playlistItems', requestId)) return;
+
+        this.playlistItems = (data && data.Items) || [];
+        this.renderPlaylistItems();
+      } catch (error) {
+        debugLog('Error loading playlist items:', error);
+        if (!this.isLatestRequest('playlistItems', requestId)) return;
+        list.innerHTML = '<div class="error">Failed to load the playlist</div>';
+      }
+    },
+
+    renderPlaylistItems() {
+      const list = document.getElementById('playlistItemsList');
+      const items = this.playlistItems;
+
+      if (items.length === 0) {
+        list.innerHTML = '<div class="empty-state">This playlist is empty</div>';
+        return;
+      }
+
+      list.innerHTML = '';
+      items.forEach((item, index) => {
+        const itemEl = document.createElement('div');
+        itemEl.className = 'track-item';
+
+        const subtitle =
+          item.Type === 'Episode'
+            ? item.SeriesName || ''
+            : item.Artists?.join(', ') || item.AlbumArtist || '';
+        const duration = this.formatRuntime(item.RunTimeTicks);
+
+        itemEl.innerHTML = `
+          <span class="track-number">${index + 1}</span>
+          <div class="track-body">
+            <span class="track-title">${this.escapeHtml(item.Name || 'Unknown Title')}</span>
+            ${subtitle ? `<span class="track-artist">${this.escapeHtml(subtitle)}</span>` : ''}
+          </div>
+          ${duration ? `<span class="track-duration">${duration}</span>` : ''}
+          <button class="button secondary track-queue-btn" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+          <button class="button secondary track-queue-btn" data-action="down" title="Move down" ${index === items.length - 1 ? 'disabled' : ''}>&darr;</button>
+          <button class="button secondary track-queue-btn" data-action="remove" title="Remove from playlist">&times;</button>
+        `;
+
+        itemEl.querySelectorAll('.track-queue-btn').forEach((button) => {
+          button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const action = button.dataset.action;
+            if (action === 'remove') {
+              this.removePlaylistItem(item);
+            } else {
+              this.movePlaylistItem(item, index + (action === 'up' ? -1 : 1));
+            }
+          });
+        });
+
+        itemEl.addEventListener('click', () => {
+          this.playMedia(item);
+        });
+
+        list.appendChild(itemEl);
+      });
+    },
+
+    playAllPlaylistItems() {
+      const items = (this.playlistItems || [])
+        .map((item) => this.buildQueueEntry(item))
+        .filter((entry) => entry.streamUrl);
+
+      if (items.length === 0) {
+        debugLog('No playable playlist items');
+        return;
+      }
+
+      debugLog('Playing playlist, count:', items.length);
+      if (typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('play-media-list', { items });
+      }
+    },
+
+    async removePlaylistItem(item) {
+      try {
+        await this.apiRequest(
+          'DELETE',
+          `/Playlists/${this.selectedPlaylist.Id}/Items?entryIds=${encodeURIComponent(item.PlaylistItemId)}`
+        );
+        await this.loadPlaylistItems();
+      } catch (error) {
+        debugLog('Error removing from playlist:', error);
+      }
+    },
+
+    async movePlaylistItem(item, newIndex) {
+      if (newIndex < 0 || newIndex >= this.playlistItems.length) return;
+
+      try {
+        await this.apiRequest(
+          'POST',
+          `/Playlists/${this.selectedPlaylist.Id}/Items/${encodeURIComponent(item.PlaylistItemId)}/Move/${newIndex}`
+        );
+        await this.loadPlaylistItems();
+      } catch (error) {
+        debugLog('Error moving playlist item:', error);
+      }
+    },
+
+    showRenamePlaylistForm() {
+      if (!this.selectedPlaylist) return;
+      const input = document.getElementById('playlistRenameInput');
+      input.value = this.selectedPlaylist.Name || '';
+      document.getElementById('playlistRenameForm').style.display = 'flex';
+      input.focus();
+    },
+
+    async renamePlaylist() {
+      const name = document.getElementById('playlistRenameInput').value.trim();
+      if (!name || !this.selectedPlaylist) return;
+
+      try {
+        await this.apiRequest('POST', `/Playlists/${this.selectedPlaylist.Id}`, {
+          Name: name,
+        });
+        this.selectedPlaylist.Name = name;
+        document.getElementById('playlistItemsTitle').textContent = name;
+        document.getElementById('playlistRenameForm').style.display = 'none';
+      } catch (error) {
+        debugLog('Error renaming playlist:', error);
+      }
+    },
+
+    hidePlaylistItems(returnToMain = true) {
+      document.getElementById('playlistItemsSection').style.display = 'none';
+      document.getElementById('playlistItemsList').innerHTML = '';
+      this.selectedPlaylist = null;
+      this.playlistItems = [];
+      if (returnToMain) {
+        document.getElementById('mainContent').style.display = 'block';
+        this.loadPlaylists();
+      }
+    },
+
+    /**
+     * "Add to playlist" on any item: pick one of the user's playlists, or
+     * name a new one, in place of the view the item was picked from.
+     */
+    async showPlaylistPicker(item) {
+      if (!this.currentServer || !this.currentUser) return;
+
+      this.playlistPickerReturnSection =
+        document.getElementById('albumTracksSection').style.display === 'block'
+          ? 'albumTracksSection'
+          : 'mainContent';
+      this.playlistPickerItem = item;
+
+      document.getElementById(this.playlistPickerReturnSection).style.display = 'none';
+      document.getElementById('playlistPickerSection').style.display = 'block';
+      document.getElementById('playlistPickerTitle').textContent = `Add to Playlist — ${
+        item.Name || 'Unknown Title'
+      }`;
+      const status = document.getElementById('playlistPickerStatus');
+      status.textContent = '';
+      status.className = '';
+      this.scrollToTop();
+
+      const list = document.getElementById('playlistPickerList');
+      list.innerHTML = '<div class="loading">Loading playlists...</div>';
+
+      try {
+        const playlists = await this.fetchPlaylists();
+        list.innerHTML = playlists.length
+          ? ''
+          : '<div class="empty-state">No playlists yet — create one below</div>';
+
+        playlists.forEach((playlist) => {
+          const playlistEl = document.createElement('div');
+          playlistEl.className = 'episode-item';
+          playlistEl.innerHTML = `
+            <div class="track-body">
+              <span class="track-title">${this.escapeHtml(playlist.Name || 'Untitled')}</span>
+            </div>
+          `;
+          playlistEl.addEventListener('click', () => {
+            this.addToPlaylist(playlist);
+          });
+          list.appendChild(playlistEl);
+        });
+      } catch (error) {
+        debugLog('Error loading playlists:', error);
+        list.innerHTML = '<div class="error">Failed to load playlists</div>';
+      }
+    },
+
+    async addToPlaylist(playlist) {
+      const item = this.playlistPickerItem;
+      if (!item) return;
+
+      const status = document.getElementById('playlistPickerStatus');
+      try {
+        const params = new URLSearchParams({ ids: item.Id, userId: this.currentUser.Id });
+        await this.apiRequest('POST', `/Playlists/${playlist.Id}/Items?${params.toString()}`);
+        debugLog(`Added ${item.Name} to ${playlist.Name}`);
+        this.hidePlaylistPicker();
+      } catch (error) {
+        debugLog('Error adding to playlist:', error);
+        status.textContent = 'Failed to add to the playlist';
+        status.className = 'error';
+      }
+    },
+
+    async createPlaylistWithPickedItem() {
+      const item = this.playlistPickerItem;
+      const input = document.getElementById('playlistPickerNameInput');
+      if (!item || !input.value.trim()) return;
+
+      try {
+        await this.createPlaylist(input.value, [item.Id]);
+        input.value = '';
+        this.hidePlaylistPicker();
+      } catch (error) {
+        debugLog('Error creating playlist:', error);
+        const status = document.getElementById('playlistPickerStatus');
+        status.textContent = 'Failed to create the playlist';
+        status.className = 'error';
+      }
+    },
+
+    hidePlaylistPicker(returnToView = true) {
+      document.getElementById('playlistPickerSection').style.display = 'none';
+      if (returnToView && this.playlistPickerReturnSection) {
+        document.getElementById(this.playlistPickerReturnSection).style.display = 'block';
+      }
+      this.playlistPickerItem = null;
+      this.playlistPickerReturnSection = null;
+      document.getElementById('playlistPickerList').innerHTML = '';
+    },
+  };
+};
@@ -0,0 +1,182 @@
+window.createSidebarQueueMethods = function createSidebarQueueMethods(debugLog) {
+  return {
+    loadPlayQueue() {
+      if (typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('get-play-queue');
+      }
+    },
+
+    /**
+     * The player's playlist, sent whenever it changes. Entries the plugin
+     * queued carry their Jellyfin title, artist and artwork.
+     */
+    handlePlayQueue(data) {
+      const items = (data && data.items) || [];
+      const nowPlaying = document.getElementById('nowPlaying');
+      const queueList = document.getElementById('queueList');
+      const current = items.find((item) => item.current);
+
+      if (current) {
+        nowPlaying.innerHTML = '';
+        nowPlaying.appendChild(this.createQueueItemElement(current, { nowPlaying: true }));
+      } else {
+        nowPlaying.innerHTML = '<div class="empty-state">Nothing playing</div>';
+      }
+
+      if (items.length === 0) {
+        queueList.innerHTML = '<div class="empty-state">The queue is empty</div>';
+        return;
+      }
+
+      queueList.innerHTML = '';
+      items.forEach((item) => {
+        queueList.appendChild(this.createQueueItemElement(item));
+      });
+    },
+
+    createQueueItemElement(item, options = {}) {
+      const itemEl = document.createElement('div');
+      itemEl.className = 'track-item queue-item' + (item.current ? ' selected' : '');
+      itemEl.dataset.index = item.index;
+
+      const subtitle = [item.artist, item.album].filter(Boolean).join(' — ');
+      const thumbHtml = item.imageUrl
+        ? `<div class="album-thumb-wrapper">
+             <img class="album-thumb" src="${this.escapeHtml(item.imageUrl)}" loading="lazy" alt="" onerror="this.parentElement.classList.add('thumb-fallback'); this.style.display='none'; this.parentElement.textContent='🎵';" />
+           </div>`
+        : '<div class="album-thumb-wrapper thumb-fallback">🎵</div>';
+
+      itemEl.innerHTML = `
+        ${options.nowPlaying ? thumbHtml : `<span class="track-number">${item.index + 1}</span>`}
+        <div class="track-body">
+          <span class="track-title">${this.escapeHtml(item.title)}</span>
+          ${subtitle ? `<span class="track-artist">${this.escapeHtml(subtitle)}</span>` : ''}
+        </div>
+        ${
+          options.nowPlaying || item.current
+            ? ''
+            : '<button class="button secondary queue-remove-btn" title="Remove from queue">&times;</button>'
+        }
+      `;
+
+      if (options.nowPlaying) {
+        return itemEl;
+      }
+
+      const removeBtn = itemEl.querySelector('.queue-remove-btn');
+      if (removeBtn) {
+        removeBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          iina.postMessage('remove-queue-item', { index: item.index });
+        });
+      }
+
+      itemEl.addEventListener('click', () => {
+        if (!item.current) {
+          iina.postMessage('play-queue-item', { index: item.index });
+        }
+      });
+
+      // Drag to reorder: dropping on the lower half of a row puts the entry
+      // after it, otherwise before it
+      itemEl.draggable = true;
+      itemEl.addEventListener('dragstart', (e) => {
+        this.draggedQueueIndex = item.index;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(item.index));
+      });
+      itemEl.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        itemEl.classList.add('drag-over');
+      });
+      itemEl.addEventListener('dragleave', () => {
+        itemEl.classList.remove('drag-over');
+      });
+      itemEl.addEventListener('drop', (e) => {
+        e.preventDefault();
+        itemEl.classList.remove('drag-over');
+
+        const from = this.draggedQueueIndex;
+        this.draggedQueueIndex = null;
+        if (from === null || from === undefined) return;
+
+        const rect = itemEl.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        const to = item.index + (after ? 1 : 0);
+        // Dropping an entry right before or after itself leaves it in place
+        if (to === from || to === from + 1) return;
+
+        debugLog(`Moving queue entry ${from} to ${to}`);
+        iina.postMessage('move-queue-item', { from, to });
+      });
+
+      return itemEl;
+    },
+
+    /**
+     * The tracks a music item stands for: itself for a song, the album's
+     * tracks in order, or every song of an artist album by album.
+     */
+    async getQueueTracks(item) {
+      if (item.Type === 'Audio') {
+        return [item];
+      }
+
+      const params = new URLSearchParams({
+        userId: this.currentUser.Id,
+        IncludeItemTypes: 'Audio',
+        Recursive: true,
+        Fields: 'RunTimeTicks,ImageTags,AlbumArtist,Artists',
+      });
+      if (item.Type === 'MusicAlbum') {
+        params.set('ParentId', item.Id);
+        params.set('SortBy', 'ParentIndexNumber,IndexNumber,SortName');
+      } else if (item.Type === 'MusicArtist') {
+        params.set('ArtistIds', item.Id);
+        params.set('SortBy', 'Album,ParentIndexNumber,IndexNumber,SortName');
+      } else {
+        return [];
+      }
+
+      const response = await this.getHttpClient().get(
+        `${this.currentServer.url}/Items?${params.toString()}`,
+        {
+          headers: {
+            'X-Emby-Token': this.currentServer.accessToken,
+          },
+        }
+      );
+      return (response.data && response.data.Items) || [];
+    },
+
+    buildQueueEntry(track) {
+      return {
+        streamUrl: this.buildStreamUrl(track),
+        title: track.Name || 'Unknown Title',
+        artist: track.Artists?.join(', ') || track.AlbumArtist || '',
+        album: track.Album || '',
+        imageUrl: this.getMusicThumbnailUrl(track) || '',
+      };
+    },
+
+    async queueMusicItem(item, playNext) {
+      if (!this.currentServer || !this.currentUser) return;
+
+      try {
+        const tracks = await this.getQueueTracks(item);
+        const items = tracks.map((track) => this.buildQueueEntry(track)).filter((e) => e.streamUrl);
+        if (items.length === 0) {
+          debugLog(`Nothing to queue for ${item.Name}`);
+          return;
+        }
+
+        debugLog(
+          `${playNext ? 'Playing next' : 'Queuing'} ${items.length} track(s) of ${item.Name}`
+        );
+        iina.postMessage('queue-media', { items, playNext });
+      } catch (error) {
+        debugLog('Error queuing music:', error);
+      }
+    },
+  };
+};
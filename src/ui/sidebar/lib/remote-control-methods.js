@@ -0,0 +1,193 @@
+window.createSidebarRemoteControlMethods = function createSidebarRemoteControlMethods(debugLog) {
+  // Reconnect delays double from the first to the last, and start over once
+  // a connection opens.
+  const RECONNECT_DELAY_MIN = 1000;
+  const RECONNECT_DELAY_MAX = 60000;
+  // Only these are commands for the player; the socket also carries library
+  // and session notifications the plugin has no use for.
+  const FORWARDED_MESSAGE_TYPES = [
+    'Play',
+    'Playstate',
+    'GeneralCommand',
+    'SyncPlayCommand',
+    'SyncPlayGroupUpdate',
+  ];
+
+  return {
+    /**
+     * The plugin's JavaScript context has no WebSocket, so the sidebar holds
+     * the connection that makes this player controllable from other Jellyfin
+     * clients. Connected while a server is connected, and only when the
+     * plugin says remote control is enabled.
+     */
+    requestRemoteControl() {
+      if (typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('get-remote-control');
+      }
+    },
+
+    handleRemoteControlConfig(config) {
+      if (!config || !config.enabled) {
+        debugLog('Remote control disabled');
+        this.disconnectRemoteControl();
+        // The standalone browser: SyncPlay goes through the sidebar's socket
+        if (config && this.currentServer && config.syncPlayServerUrl === this.currentServer.url) {
+          this.showSyncPlaySection();
+        }
+        return;
+      }
+      this.connectRemoteControl();
+    },
+
+    buildRemoteControlSocketUrl() {
+      const deviceId = (this.clientIdentity && this.clientIdentity.deviceId) || '';
+      const base = this.currentServer.url.replace(/^http/i, 'ws');
+      return `${base}/socket?api_key=${encodeURIComponent(this.currentServer.accessToken)}&deviceId=${encodeURIComponent(deviceId)}`;
+    },
+
+    connectRemoteControl() {
+      if (!this.currentServer || !this.currentServer.accessToken) return;
+      if (typeof WebSocket === 'undefined') {
+        debugLog('WebSocket not available, remote control disabled');
+        return;
+      }
+
+      const serverKey = `${this.currentServer.url}|${this.currentServer.accessToken}`;
+      if (this.remoteSocket && this.remoteServerKey === serverKey) {
+        return;
+      }
+
+      this.disconnectRemoteControl();
+      this.remoteServerKey = serverKey;
+      this.openRemoteControlSocket();
+    },
+
+    openRemoteControlSocket() {
+      const serverUrl = this.currentServer.url;
+      const accessToken = this.currentServer.accessToken;
+      debugLog(`Opening remote control socket to ${serverUrl}`);
+
+      let socket;
+      try {
+        socket = new WebSocket(this.buildRemoteControlSocketUrl());
+      } catch (error) {
+        debugLog('Could not open remote control socket:', error);
+        this.scheduleRemoteControlReconnect();
+        return;
+      }
+      this.remoteSocket = socket;
+
+      socket.onopen = () => {
+        if (this.remoteSocket !== socket) return;
+        debugLog('Remote control socket connected');
+        this.remoteReconnectDelay = RECONNECT_DELAY_MIN;
+        // The plugin registers what this player can do with the same token
+        iina.postMessage('remote-control-connected', { serverUrl, accessToken });
+        this.showSyncPlaySection();
+      };
+
+      socket.onmessage = (event) => {
+        if (this.remoteSocket !== socket) return;
+        this.handleRemoteControlSocketMessage(event.data);
+      };
+
+      socket.onclose = () => {
+        if (this.remoteSocket !== socket) return;
+        debugLog('Remote control socket closed');
+        this.remoteSocket = null;
+        this.stopRemoteControlKeepAlive();
+        this.hideSyncPlaySection();
+        iina.postMessage('remote-control-disconnected');
+        this.scheduleRemoteControlReconnect();
+      };
+
+      socket.onerror = () => {
+        // onclose follows and takes care of reconnecting
+        debugLog('Remote control socket error');
+      };
+    },
+
+    handleRemoteControlSocketMessage(raw) {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch {
+        debugLog('Ignoring malformed remote control message');
+        return;
+      }
+
+      if (message.MessageType === 'ForceKeepAlive') {
+        // Data is the server's timeout in seconds; answer well within it
+        this.startRemoteControlKeepAlive(((message.Data || 60) * 1000) / 2);
+        return;
+      }
+
+      if (FORWARDED_MESSAGE_TYPES.includes(message.MessageType)) {
+        debugLog(`Remote control message: ${message.MessageType}`);
+        iina.postMessage('remote-control-message', {
+          MessageType: message.MessageType,
+          Data: message.Data,
+        });
+      }
+    },
+
+    sendRemoteControlMessage(messageType, data) {
+      if (!this.remoteSocket || this.remoteSocket.readyState !== WebSocket.OPEN) return;
+      this.remoteSocket.send(JSON.stringify({ MessageType: messageType, Data: data }));
+    },
+
+    startRemoteControlKeepAlive(interval) {
+      this.stopRemoteControlKeepAlive();
+      this.sendRemoteControlMessage('KeepAlive');
+      this.remoteKeepAliveTimer = setInterval(() => {
+        this.sendRemoteControlMessage('KeepAlive');
+      }, interval);
+    },
+
+    stopRemoteControlKeepAlive() {
+      if (this.remoteKeepAliveTimer) {
+        clearInterval(this.remoteKeepAliveTimer);
+        this.remoteKeepAliveTimer = null;
+      }
+    },
+
+    scheduleRemoteControlReconnect() {
+      if (!this.remoteServerKey || this.remoteReconnectTimer) return;
+
+      const delay = this.remoteReconnectDelay || RECONNECT_DELAY_MIN;
+      this.remoteReconnectDelay = Math.min(delay * 2, RECONNECT_DELAY_MAX);
+      debugLog(`Reconnecting remote control in ${delay / 1000}s`);
+
+      this.remoteReconnectTimer = setTimeout(() => {
+        this.remoteReconnectTimer = null;
+        if (this.remoteServerKey && this.currentServer) {
+          this.openRemoteControlSocket();
+        }
+      }, delay);
+    },
+
+    disconnectRemoteControl() {
+      const hadConnection = Boolean(this.remoteServerKey);
+      this.remoteServerKey = null;
+      this.remoteReconnectDelay = RECONNECT_DELAY_MIN;
+
+      if (this.remoteReconnectTimer) {
+        clearTimeout(this.remoteReconnectTimer);
+        this.remoteReconnectTimer = null;
+      }
+      this.stopRemoteControlKeepAlive();
+      this.hideSyncPlaySection();
+
+      if (this.remoteSocket) {
+        const socket = this.remoteSocket;
+        // Cleared first so its onclose does not schedule a reconnect
+        this.remoteSocket = null;
+        socket.close();
+      }
+
+      if (hadConnection && typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('remote-control-disconnected');
+      }
+    },
+  };
+};
@@ -0,0 +1,85 @@
+window.createSidebarSubtitleSearchMethods = function createSidebarSubtitleSearchMethods(debugLog) {
+  return {
+    /**
+     * Results of a remote subtitle search. The plugin does the searching, with
+     * the credentials of the file being played, so this works without a
+     * server being connected in the sidebar.
+     */
+    handleSubtitleSearchResults(data) {
+      const section = document.getElementById('subtitleSearchSection');
+      section.style.display = 'block';
+      document.getElementById('subtitleSearchLanguage').value = (data && data.language) || '';
+      const status = document.getElementById('subtitleSearchStatus');
+      status.textContent = '';
+      status.className = '';
+      this.scrollToTop();
+
+      const list = document.getElementById('subtitleSearchList');
+      if (!data || data.loading) {
+        list.innerHTML = '<div class="loading">Searching...</div>';
+        return;
+      }
+      if (data.error) {
+        list.innerHTML = `<div class="error">${this.escapeHtml(data.error)}</div>`;
+        return;
+      }
+
+      const results = data.results || [];
+      if (results.length === 0) {
+        list.innerHTML = '<div class="empty-state">No subtitles found</div>';
+        return;
+      }
+
+      list.innerHTML = '';
+      results.forEach((result) => {
+        const resultEl = document.createElement('div');
+        resultEl.className = 'episode-item';
+        resultEl.dataset.subtitleId = result.id;
+
+        const details = [
+          result.provider,
+          result.format ? result.format.toUpperCase() : null,
+          result.rating !== null ? `★ ${Number(result.rating).toFixed(1)}` : null,
+          result.downloads !== null ? `${result.downloads} downloads` : null,
+          result.isHashMatch ? 'Matches file' : null,
+        ]
+          .filter(Boolean)
+          .join(' · ');
+
+        resultEl.innerHTML = `
+          <div class="track-body">
+            <span class="track-title">${this.escapeHtml(result.name)}</span>
+            <span class="track-artist">${this.escapeHtml(details)}</span>
+          </div>
+        `;
+
+        resultEl.addEventListener('click', () => {
+          debugLog(`Remote subtitle chosen: ${result.name} (${result.provider})`);
+          document.getElementById('subtitleSearchStatus').textContent = 'Downloading...';
+          iina.postMessage('download-remote-subtitle', { subtitleId: result.id });
+        });
+
+        list.appendChild(resultEl);
+      });
+    },
+
+    handleSubtitleDownloadResult(data) {
+      const status = document.getElementById('subtitleSearchStatus');
+      status.textContent = (data && data.message) || '';
+      status.className = data && data.ok ? '' : 'error';
+    },
+
+    searchRemoteSubtitles() {
+      const language = document.getElementById('subtitleSearchLanguage').value.trim();
+      if (typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('search-remote-subtitles', { language });
+      }
+    },
+
+    hideSubtitleSearch() {
+      document.getElementById('subtitleSearchSection').style.display = 'none';
+      document.getElementById('subtitleSearchList').innerHTML = '';
+      document.getElementById('subtitleSearchStatus').textContent = '';
+    },
+  };
+};
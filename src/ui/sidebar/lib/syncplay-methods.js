@@ -0,0 +1,169 @@
+window.createSidebarSyncPlayMethods = function createSidebarSyncPlayMethods(debugLog) {
+  return {
+    /**
+     * SyncPlay needs the remote control socket (group commands arrive on it),
+     * so the panel is only offered while that socket is open: the sidebar's
+     * own, or for the standalone browser the sidebar's on the same server.
+     */
+    showSyncPlaySection() {
+      document.getElementById('syncPlaySection').style.display = 'block';
+      if (typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('get-syncplay-state');
+      }
+      this.loadSyncPlayGroups();
+    },
+
+    hideSyncPlaySection() {
+      document.getElementById('syncPlaySection').style.display = 'none';
+      document.getElementById('syncPlayContent').innerHTML = '';
+      this.syncPlayGroup = null;
+      this.syncPlayGroups = [];
+    },
+
+    syncPlayRequestHeaders() {
+      return {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        // The server knows the SyncPlay session by token and device id
+        Authorization: this.buildAuthorizationHeader(this.currentServer.accessToken),
+      };
+    },
+
+    handleSyncPlayState(state) {
+      this.syncPlayGroup = (state && state.group) || null;
+      if (!this.syncPlayGroup) {
+        // Back to the list, which may have changed while we were in a group
+        this.loadSyncPlayGroups();
+        return;
+      }
+      this.renderSyncPlay();
+    },
+
+    async loadSyncPlayGroups() {
+      if (!this.currentServer || this.syncPlayGroup) {
+        this.renderSyncPlay();
+        return;
+      }
+
+      const requestId = this.nextRequestId('syncPlay');
+      try {
+        const response = await this.getHttpClient().get(`${this.currentServer.url}/SyncPlay/List`, {
+          headers: this.syncPlayRequestHeaders(),
+        });
+
+        if (!this.isLatestRequest('syncPlay', requestId)) return;
+
+        this.syncPlayGroups = Array.isArray(response.data) ? response.data : [];
+        this.syncPlayError = response.status >= 400 ? 'SyncPlay is not available' : null;
+      } catch (error) {
+        debugLog('Error loading SyncPlay groups:', error);
+        if (!this.isLatestRequest('syncPlay', requestId)) return;
+        this.syncPlayGroups = [];
+        this.syncPlayError = 'Failed to load groups';
+      }
+
+      this.renderSyncPlay();
+    },
+
+    async postSyncPlay(endpoint, data) {
+      try {
+        const response = await this.getHttpClient().post(
+          `${this.currentServer.url}/SyncPlay/${endpoint}`,
+          {
+            headers: this.syncPlayRequestHeaders(),
+            data: JSON.stringify(data || {}),
+          }
+        );
+        if (response.status >= 400) {
+          throw new Error(`status ${response.status}`);
+        }
+        return true;
+      } catch (error) {
+        debugLog(`SyncPlay ${endpoint} failed:`, error);
+        this.syncPlayError = `Could not ${endpoint.toLowerCase()} the group`;
+        this.renderSyncPlay();
+        return false;
+      }
+    },
+
+    // Joining and leaving are confirmed by a group update over the socket,
+    // which the plugin passes back as syncplay-state.
+    async createSyncPlayGroup() {
+      const input = document.getElementById('syncPlayGroupName');
+      const userName = this.currentUser ? this.currentUser.Name : 'IINA';
+      const groupName = (input && input.value.trim()) || `${userName}'s group`;
+      await this.postSyncPlay('New', { GroupName: groupName });
+    },
+
+    async joinSyncPlayGroup(groupId) {
+      await this.postSyncPlay('Join', { GroupId: groupId });
+    },
+
+    async leaveSyncPlayGroup() {
+      await this.postSyncPlay('Leave');
+    },
+
+    renderSyncPlay() {
+      const container = document.getElementById('syncPlayContent');
+      if (!container) return;
+
+      const errorHtml = this.syncPlayError
+        ? `<div class="error">${this.escapeHtml(this.syncPlayError)}</div>`
+        : '';
+      this.syncPlayError = null;
+
+      if (this.syncPlayGroup) {
+        const group = this.syncPlayGroup;
+        const members = (group.Participants || [])
+          .map((name) => `<div class="track-artist">${this.escapeHtml(name)}</div>`)
+          .join('');
+
+        container.innerHTML = `
+          ${errorHtml}
+          <div class="track-body">
+            <span class="track-title">${this.escapeHtml(group.GroupName || 'Group')}</span>
+            <span class="track-artist">${this.escapeHtml(group.State || '')}</span>
+          </div>
+          <div style="margin: 6px 0">${members}</div>
+          <button id="syncPlayLeaveBtn" class="button secondary">Leave Group</button>
+        `;
+        document
+          .getElementById('syncPlayLeaveBtn')
+          .addEventListener('click', () => this.leaveSyncPlayGroup());
+        return;
+      }
+
+      const groups = this.syncPlayGroups || [];
+      const groupsHtml =
+        groups.length > 0
+          ? groups
+              .map(
+                (group) => `
+            <div class="episode-item" data-group-id="${this.escapeHtml(group.GroupId)}">
+              <div class="track-body">
+                <span class="track-title">${this.escapeHtml(group.GroupName || 'Group')}</span>
+                <span class="track-artist">${this.escapeHtml((group.Participants || []).join(', '))}</span>
+              </div>
+            </div>`
+              )
+              .join('')
+          : '<div class="empty-state">No groups yet</div>';
+
+      container.innerHTML = `
+        ${errorHtml}
+        <div class="episode-list">${groupsHtml}</div>
+        <div class="input-group" style="margin-top: 8px">
+          <input type="text" id="syncPlayGroupName" class="text-input" placeholder="New group name" />
+        </div>
+        <button id="syncPlayCreateBtn" class="button">Create Group</button>
+      `;
+
+      container.querySelectorAll('[data-group-id]').forEach((groupEl) => {
+        groupEl.addEventListener('click', () => this.joinSyncPlayGroup(groupEl.dataset.groupId));
+      });
+      document
+        .getElementById('syncPlayCreateBtn')
+        .addEventListener('click', () => this.createSyncPlayGroup());
+    },
+  };
+};
@@ -0,0 +1,157 @@
+window.createSidebarUserDataMethods = function createSidebarUserDataMethods(debugLog) {
+  return {
+    /**
+     * Change an item's UserData on screen first, then on the server. If the
+     * server refuses, the old state is put back and shown again. Clicks on an
+     * item whose last change has not been answered yet are ignored, so a
+     * failure cannot restore a state the user has already clicked past.
+     */
+    async updateUserData(item, changes, path, method, render) {
+      if (this.pendingUserData.has(item.Id)) return false;
+      this.pendingUserData.add(item.Id);
+
+      const previous = item.UserData;
+      item.UserData = { ...previous, ...changes };
+      render();
+
+      try {
+        const userData = await this.apiRequest(method, path);
+        if (userData && typeof userData === 'object') {
+          item.UserData = { ...item.UserData, ...userData };
+        }
+        return true;
+      } catch (error) {
+        debugLog(`Error updating ${item.Name}, restoring its state:`, error);
+        item.UserData = previous;
+        render();
+        return false;
+      } finally {
+        this.pendingUserData.delete(item.Id);
+      }
+    },
+
+    async setItemPlayed(item, played, render) {
+      debugLog(`Marking ${item.Name} as ${played ? 'watched' : 'unwatched'}`);
+      // Watching something to the end also clears where it was left off
+      const changes = played ? { Played: true, PlaybackPositionTicks: 0 } : { Played: false };
+      const changed = await this.updateUserData(
+        item,
+        changes,
+        `/Users/${this.currentUser.Id}/PlayedItems/${item.Id}`,
+        played ? 'POST' : 'DELETE',
+        render
+      );
+      // If the item is playing, its session must not mark it again later
+      if (changed && typeof iina !== 'undefined' && iina.postMessage) {
+        iina.postMessage('item-played-changed', { itemId: item.Id });
+      }
+      return changed;
+    },
+
+    setItemFavorite(item, favorite, render) {
+      debugLog(`${favorite ? 'Adding' : 'Removing'} ${item.Name} as a favourite`);
+      return this.updateUserData(
+        item,
+        { IsFavorite: favorite },
+        `/Users/${this.currentUser.Id}/FavoriteItems/${item.Id}`,
+        favorite ? 'POST' : 'DELETE',
+        render
+      );
+    },
+
+    toggleItemPlayed(item, render) {
+      return this.setItemPlayed(item, !item.UserData?.Played, render);
+    },
+
+    toggleItemFavorite(item, render) {
+      return this.setItemFavorite(item, !item.UserData?.IsFavorite, render);
+    },
+
+    userDataButtonsHtml(className) {
+      return `
+        <button class="${className} user-data-btn" data-action="toggle-played"></button>
+        <button class="${className} user-data-btn" data-action="toggle-favorite"></button>
+      `;
+    },
+
+    /**
+     * Bring the watched and favourite buttons inside an element in line with
+     * the item's state.
+     */
+    renderUserDataButtons(element, item) {
+      const userData = item.UserData || {};
+      const playedBtn = element.querySelector('[data-action="toggle-played"]');
+      const favoriteBtn = element.querySelector('[data-action="toggle-favorite"]');
+
+      if (playedBtn) {
+        playedBtn.textContent = '✓';
+        playedBtn.title = userData.Played ? 'Mark unwatched' : 'Mark watched';
+        playedBtn.classList.toggle('active', Boolean(userData.Played));
+      }
+      if (favoriteBtn) {
+        favoriteBtn.textContent = userData.IsFavorite ? '★' : '☆';
+        favoriteBtn.title = userData.IsFavorite ? 'Remove from favourites' : 'Add to favourites';
+        favoriteBtn.classList.toggle('active', Boolean(userData.IsFavorite));
+      }
+    },
+
+    /**
+     * Wire an element's watched and favourite buttons to an item.
+     */
+    bindUserDataButtons(element, item, onPlayedChange) {
+      const render = () => this.renderUserDataButtons(element, item);
+      render();
+
+      element.querySelectorAll('.user-data-btn').forEach((button) => {
+        button.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          if (button.dataset.action === 'toggle-played') {
+            const changed = await this.toggleItemPlayed(item, render);
+            if (changed && onPlayedChange) onPlayedChange();
+          } else {
+            this.toggleItemFavorite(item, render);
+          }
+        });
+      });
+    },
+
+    getSelectedSeason() {
+      const seasonId = document.getElementById('seasonSelect').value;
+      return (this.seasons || []).find((season) => season.Id === seasonId) || null;
+    },
+
+    renderSeasonUserData() {
+      const season = this.getSelectedSeason();
+      document.getElementById('seasonActions').style.display = season ? 'flex' : 'none';
+      if (!season) return;
+
+      const userData = season.UserData || {};
+      document.getElementById('seasonWatchedBtn').textContent = userData.Played
+        ? 'Mark Season Unwatched'
+        : 'Mark Season Watched';
+      document.getElementById('seasonFavoriteBtn').textContent = userData.IsFavorite
+        ? '★ Favourite'
+        : '☆ Favourite';
+    },
+
+    /**
+     * A season marked watched marks each of its episodes, so the list is
+     * loaded again once the server has done so.
+     */
+    async toggleSeasonPlayed() {
+      const season = this.getSelectedSeason();
+      if (!season) return;
+
+      const changed = await this.toggleItemPlayed(season, () => this.renderSeasonUserData());
+      if (changed && this.getSelectedSeason() === season) {
+        this.loadEpisodes(season.Id);
+      }
+    },
+
+    toggleSeasonFavorite() {
+      const season = this.getSelectedSeason();
+      if (!season) return;
+      this.toggleItemFavorite(season, () => this.renderSeasonUserData());
+    },
+  };
+};
@@ -0,0 +1,135 @@
+window.createSidebarVersionMethods = function createSidebarVersionMethods(debugLog) {
+  return {
+    /**
+     * The item's versions (MediaSources). Episode lists already carry them;
+     * other lists do not ask for them, so they are fetched on demand. Audio has
+     * a single source, and an empty result means "let the server choose".
+     */
+    async getMediaSources(item) {
+      if (item.Type === 'Audio') return [];
+      if (Array.isArray(item.MediaSources) && item.MediaSources.length > 0) {
+        return item.MediaSources;
+      }
+
+      try {
+        const params = new URLSearchParams({
+          userId: this.currentUser.Id,
+          Fields: 'MediaSources',
+        });
+
+        const response = await this.getHttpClient().get(
+          `${this.currentServer.url}/Items/${item.Id}?${params.toString()}`,
+          {
+            headers: {
+              'X-Emby-Token': this.currentServer.accessToken,
+            },
+          }
+        );
+
+        return (response.data && response.data.MediaSources) || [];
+      } catch (error) {
+        debugLog('Error loading media sources:', error);
+        return [];
+      }
+    },
+
+    describeResolution(videoStream) {
+      if (!videoStream || !videoStream.Width) return null;
+      const width = videoStream.Width;
+      if (width >= 3800) return '4K';
+      if (width >= 2500) return '1440p';
+      if (width >= 1900) return '1080p';
+      if (width >= 1200) return '720p';
+      return videoStream.Height ? `${videoStream.Height}p` : 'SD';
+    },
+
+    formatFileSize(bytes) {
+      if (!bytes) return null;
+      const gigabytes = bytes / 1024 ** 3;
+      if (gigabytes >= 1) return `${gigabytes.toFixed(1)} GB`;
+      return `${Math.round(bytes / 1024 ** 2)} MB`;
+    },
+
+    formatBitrate(bitsPerSecond) {
+      if (!bitsPerSecond) return null;
+      if (bitsPerSecond >= 1000000) return `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`;
+      return `${Math.round(bitsPerSecond / 1000)} kbps`;
+    },
+
+    /**
+     * One line of facts for a version: resolution, codec, HDR, size, bitrate.
+     */
+    describeMediaSource(source) {
+      const videoStream = (source.MediaStreams || []).find((stream) => stream.Type === 'Video');
+      const dynamicRange =
+        videoStream && videoStream.VideoRange && videoStream.VideoRange !== 'SDR'
+          ? videoStream.VideoRangeType || videoStream.VideoRange
+          : null;
+
+      return [
+        this.describeResolution(videoStream),
+        videoStream && videoStream.Codec ? videoStream.Codec.toUpperCase() : null,
+        dynamicRange,
+        this.formatFileSize(source.Size),
+        this.formatBitrate(source.Bitrate),
+      ]
+        .filter(Boolean)
+        .join(' · ');
+    },
+
+    showVersionSelection(item, mediaSources, playOptions = {}) {
+      // Back returns to whichever view the item was picked from
+      this.versionReturnSection =
+        ['episodeSection', 'itemDetailSection', 'collectionSection', 'personSection'].find(
+          (id) => document.getElementById(id).style.display === 'block'
+        ) || 'mainContent';
+      this.versionItem = item;
+
+      document.getElementById(this.versionReturnSection).style.display = 'none';
+      document.getElementById('versionSection').style.display = 'block';
+      document.getElementById('versionTitle').textContent = `Choose Version — ${
+        item.Name || 'Unknown Title'
+      }`;
+
+      const versionList = document.getElementById('versionList');
+      versionList.innerHTML = '';
+
+      mediaSources.forEach((source, index) => {
+        const versionEl = document.createElement('div');
+        versionEl.className = 'episode-item';
+        versionEl.dataset.mediaSourceId = source.Id;
+
+        const name = source.Name || `Version ${index + 1}`;
+        const details = this.describeMediaSource(source);
+
+        versionEl.innerHTML = `
+          <div class="track-body">
+            <span class="track-title">${this.escapeHtml(name)}</span>
+            ${details ? `<span class="track-artist">${this.escapeHtml(details)}</span>` : ''}
+          </div>
+        `;
+
+        versionEl.addEventListener('click', () => {
+          debugLog(`Version chosen: ${name} (${source.Id})`);
+          const chosenItem = this.versionItem;
+          this.hideVersionSelection();
+          this.playMedia(chosenItem, { ...playOptions, mediaSourceId: source.Id });
+        });
+
+        versionList.appendChild(versionEl);
+      });
+
+      this.scrollToTop();
+    },
+
+    hideVersionSelection(returnToPrevious = true) {
+      document.getElementById('versionSection').style.display = 'none';
+      if (returnToPrevious && this.versionReturnSection) {
+        document.getElementById(this.versionReturnSection).style.display = 'block';
+      }
+      this.versionItem = null;
+      this.versionReturnSection = null;
+      document.getElementById('versionList').innerHTML = '';
+    },
+  };
+};
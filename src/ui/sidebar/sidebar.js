@@ -104,6 +104,8 @@ class JellyfinSidebar {
     this.albumTracks = [];
     this.searchTimeout = null;
     this.pendingSessionData = null;
+    // Ids of items whose watched or favourite change is still on its way
+    this.pendingUserData = new Set();
 
     // Jellyfin client identity (device id + version), pushed by the plugin
     this.clientIdentity = null;
@@ -169,6 +171,33 @@ class JellyfinSidebar {
     }
   }
 
+  /**
+   * A JSON request to the current server, for the calls that need more than
+   * a GET. Non-2xx answers are thrown, so callers can treat them as failures.
+   */
+  async apiRequest(method, path, body) {
+    const options = {
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-Emby-Token': this.currentServer.accessToken,
+      },
+    };
+    if (body) {
+      options.data = JSON.stringify(body);
+    }
+
+    const response = await this.fetchHttpRequest(
+      method,
+      `${this.currentServer.url}${path}`,
+      options
+    );
+    if (response.status >= 400) {
+      throw new Error(`status ${response.status}`);
+    }
+    return response.data;
+  }
+
   init() {
     this.setupEventListeners();
     this.setupTabNavigation();
@@ -177,6 +206,11 @@ class JellyfinSidebar {
     // Request session data from main plugin
     this.requestSessionData();
 
+    // Lyrics of a track that started before the sidebar was opened
+    if (typeof iina !== 'undefined' && iina.postMessage) {
+      iina.postMessage('get-lyrics');
+    }
+
     // Show login form initially (will be hidden if auto-login succeeds)
     this.showLoginForm();
   }
@@ -254,6 +288,11 @@ class JellyfinSidebar {
       panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
     });
 
+    document.getElementById('libraryFilterBtn').addEventListener('click', () => {
+      const panel = document.getElementById('libraryFilterPanel');
+      panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+
     ['moviesSortSelect', 'moviesFilterSelect', 'moviesGenreSelect'].forEach((id) => {
       document.getElementById(id).addEventListener('change', () => this.loadMovies());
     });
@@ -266,11 +305,31 @@ class JellyfinSidebar {
       document.getElementById(id).addEventListener('change', () => this.loadMusic());
     });
 
+    ['librarySortSelect', 'libraryFilterSelect', 'libraryGenreSelect'].forEach((id) => {
+      document.getElementById(id).addEventListener('change', () => this.loadLibraryItems());
+    });
+
+    document.getElementById('musicGenreSelect').addEventListener('change', (e) => {
+      document.getElementById('musicGenreMixBtn').disabled = e.target.value === 'all';
+    });
+
+    document.getElementById('musicGenreMixBtn').addEventListener('click', () => {
+      this.startGenreMix();
+    });
+
     // Episode selection
     document.getElementById('seasonSelect').addEventListener('change', (e) => {
       this.loadEpisodes(e.target.value);
     });
 
+    document.getElementById('seasonWatchedBtn').addEventListener('click', () => {
+      this.toggleSeasonPlayed();
+    });
+
+    document.getElementById('seasonFavoriteBtn').addEventListener('click', () => {
+      this.toggleSeasonFavorite();
+    });
+
     document.getElementById('playEpisodeBtn').addEventListener('click', () => {
       this.playSelectedEpisode();
     });
@@ -288,6 +347,14 @@ class JellyfinSidebar {
       this.playAllAlbumTracks();
     });
 
+    document.getElementById('shuffleAlbumBtn').addEventListener('click', () => {
+      this.shuffleMusicItem(this.selectedAlbum);
+    });
+
+    document.getElementById('albumMixBtn').addEventListener('click', () => {
+      this.startInstantMix(this.selectedAlbum);
+    });
+
     document.getElementById('openAlbumInJellyfinBtn').addEventListener('click', () => {
       this.openAlbumInJellyfin();
     });
@@ -296,6 +363,122 @@ class JellyfinSidebar {
       this.hideAlbumTracks();
     });
 
+    // Playlists
+    document.getElementById('newPlaylistBtn').addEventListener('click', () => {
+      this.showCreatePlaylistForm();
+    });
+
+    document.getElementById('createPlaylistBtn').addEventListener('click', () => {
+      this.submitCreatePlaylist();
+    });
+
+    document.getElementById('cancelCreatePlaylistBtn').addEventListener('click', () => {
+      this.showCreatePlaylistForm(false);
+    });
+
+    document.getElementById('playAllPlaylistBtn').addEventListener('click', () => {
+      this.playAllPlaylistItems();
+    });
+
+    document.getElementById('renamePlaylistBtn').addEventListener('click', () => {
+      this.showRenamePlaylistForm();
+    });
+
+    document.getElementById('savePlaylistNameBtn').addEventListener('click', () => {
+      this.renamePlaylist();
+    });
+
+    document.getElementById('cancelPlaylistItemsBtn').addEventListener('click', () => {
+      this.hidePlaylistItems();
+    });
+
+    document.getElementById('createPlaylistWithItemBtn').addEventListener('click', () => {
+      this.createPlaylistWithPickedItem();
+    });
+
+    document.getElementById('cancelPlaylistPickerBtn').addEventListener('click', () => {
+      this.hidePlaylistPicker();
+    });
+
+    // Collections
+    document.getElementById('playCollectionBtn').addEventListener('click', () => {
+      this.playCollection();
+    });
+
+    document.getElementById('openCollectionInJellyfinBtn').addEventListener('click', () => {
+      this.openInJellyfin(this.selectedCollection);
+    });
+
+    document.getElementById('cancelCollectionBtn').addEventListener('click', () => {
+      this.hideCollection();
+    });
+
+    // Item details
+    document.getElementById('itemResumeBtn').addEventListener('click', () => {
+      this.playDetailItem(true);
+    });
+
+    document.getElementById('itemPlayBtn').addEventListener('click', () => {
+      this.playDetailItem(false);
+    });
+
+    document.getElementById('itemWatchedBtn').addEventListener('click', () => {
+      this.toggleDetailPlayed();
+    });
+
+    document.getElementById('itemFavoriteBtn').addEventListener('click', () => {
+      this.toggleDetailFavorite();
+    });
+
+    document.getElementById('cancelItemDetailBtn').addEventListener('click', () => {
+      this.hideItemDetails();
+    });
+
+    document.getElementById('cancelPersonBtn').addEventListener('click', () => {
+      this.hidePerson();
+    });
+
+    // Live TV
+    document.getElementById('liveTvViewSelect').addEventListener('change', () => {
+      this.loadLiveTv();
+    });
+
+    document.getElementById('watchProgramBtn').addEventListener('click', () => {
+      this.watchSelectedProgram();
+    });
+
+    document.getElementById('recordProgramBtn').addEventListener('click', () => {
+      this.toggleProgramRecording();
+    });
+
+    document.getElementById('cancelProgramBtn').addEventListener('click', () => {
+      this.hideProgram();
+    });
+
+    // Version selection
+    document.getElementById('cancelVersionBtn').addEventListener('click', () => {
+      this.hideVersionSelection();
+    });
+
+    // Remote subtitle search
+    document.getElementById('subtitleSearchBtn').addEventListener('click', () => {
+      this.searchRemoteSubtitles();
+    });
+
+    document.getElementById('closeSubtitleSearchBtn').addEventListener('click', () => {
+      this.hideSubtitleSearch();
+    });
+
+    // Lyrics
+    document.getElementById('closeLyricsBtn').addEventListener('click', () => {
+      this.hideLyrics();
+    });
+
+    // SyncPlay
+    document.getElementById('syncPlayRefreshBtn').addEventListener('click', () => {
+      this.loadSyncPlayGroups();
+    });
+
     // Enter submits from any field of the form it belongs to
     const submitOnEnter = (id, submit) => {
       const field = document.getElementById(id);
@@ -309,38 +492,62 @@ class JellyfinSidebar {
 
     ['serverUrl', 'username', 'password'].forEach((id) => submitOnEnter(id, () => this.login()));
     submitOnEnter('qcServerUrl', () => this.startQuickConnect());
+    submitOnEnter('playlistNameInput', () => this.submitCreatePlaylist());
+    submitOnEnter('playlistRenameInput', () => this.renamePlaylist());
+    submitOnEnter('playlistPickerNameInput', () => this.createPlaylistWithPickedItem());
   }
 
   setupTabNavigation() {
-    const tabButtons = document.querySelectorAll('.tab-button');
-    const tabContents = document.querySelectorAll('.tab-content');
-
-    tabButtons.forEach((button) => {
-      button.addEventListener('click', () => {
-        const tabName = button.dataset.tab;
-
-        // Update active button
-        tabButtons.forEach((btn) => btn.classList.remove('active'));
-        button.classList.add('active');
-
-        // Update active content
-        tabContents.forEach((content) => content.classList.remove('active'));
-        document.getElementById(tabName + 'Tab').classList.add('active');
-
-        // Load content if needed
-        if (tabName === 'home' && this.currentUser) {
-          this.loadHomeTab();
-        } else if (tabName === 'movies' && this.currentUser) {
-          this.loadMovies();
-        } else if (tabName === 'series' && this.currentUser) {
-          this.loadSeries();
-        } else if (tabName === 'music' && this.currentUser) {
-          this.loadMusic();
-        }
-      });
+    // Library tabs come and go with the server's libraries, so clicks are
+    // picked up on the tab bar rather than on each button
+    document.querySelector('.tab-nav').addEventListener('click', (e) => {
+      const button = e.target.closest('.tab-button');
+      if (button) {
+        this.activateTab(button);
+      }
     });
   }
 
+  activateTab(button) {
+    const tabName = button.dataset.tab;
+
+    // Update active button
+    document.querySelectorAll('.tab-button').forEach((btn) => btn.classList.remove('active'));
+    button.classList.add('active');
+
+    // Update active content
+    document
+      .querySelectorAll('.tab-content')
+      .forEach((content) => content.classList.remove('active'));
+    document.getElementById(tabName + 'Tab').classList.add('active');
+
+    // Several libraries can share a tab; the button says which one it shows
+    if (button.dataset.viewId !== undefined && this.currentUser) {
+      this.selectLibraryView(tabName, button.dataset.viewId);
+    }
+
+    // Load content if needed
+    if (tabName === 'home' && this.currentUser) {
+      this.loadHomeTab();
+    } else if (tabName === 'movies' && this.currentUser) {
+      this.loadMovies();
+    } else if (tabName === 'series' && this.currentUser) {
+      this.loadSeries();
+    } else if (tabName === 'music' && this.currentUser) {
+      this.loadMusic();
+    } else if (tabName === 'library' && this.currentUser) {
+      this.loadLibraryItems();
+    } else if (tabName === 'livetv' && this.currentUser) {
+      this.loadLiveTv();
+    } else if (tabName === 'queue') {
+      this.loadPlayQueue();
+    } else if (tabName === 'playlists' && this.currentUser) {
+      this.loadPlaylists();
+    } else if (tabName === 'collections' && this.currentUser) {
+      this.loadCollections();
+    }
+  }
+
   setupMessageHandlers() {
     if (typeof iina !== 'undefined' && iina.onMessage) {
       iina.onMessage('client-identity', (data) => {
@@ -382,6 +589,40 @@ class JellyfinSidebar {
           this.connectToServer(data.server);
         }
       });
+
+      iina.onMessage('library-view', (data) => {
+        this.handleLibraryView(data);
+      });
+
+      iina.onMessage('remote-control-config', (data) => {
+        this.handleRemoteControlConfig(data);
+      });
+
+      iina.onMessage('subtitle-search-results', (data) => {
+        this.handleSubtitleSearchResults(data);
+      });
+
+      iina.onMessage('subtitle-download-result', (data) => {
+        debugLog('Received subtitle-download-result: ' + JSON.stringify(data));
+        this.handleSubtitleDownloadResult(data);
+      });
+
+      iina.onMessage('play-queue', (data) => {
+        this.handlePlayQueue(data);
+      });
+
+      iina.onMessage('lyrics', (data) => {
+        this.handleLyrics(data);
+      });
+
+      iina.onMessage('lyrics-line', (data) => {
+        this.handleLyricsLine(data);
+      });
+
+      iina.onMessage('syncplay-state', (data) => {
+        debugLog('Received syncplay-state: ' + JSON.stringify(data));
+        this.handleSyncPlayState(data);
+      });
     } else {
       debugLog('iina.onMessage not available, session auto-login disabled');
     }
@@ -404,6 +645,20 @@ class JellyfinSidebar {
 
 Object.assign(JellyfinSidebar.prototype, window.createSidebarAuthServerMethods(debugLog));
 Object.assign(JellyfinSidebar.prototype, window.createSidebarMediaMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarVersionMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarRemoteControlMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarSyncPlayMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarSubtitleSearchMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarLyricsMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarQueueMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarMusicMixMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarPlaylistMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarCollectionMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarLibraryViewMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarLiveTvMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarItemDetailMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarUserDataMethods(debugLog));
+Object.assign(JellyfinSidebar.prototype, window.createSidebarPersonMethods(debugLog));
 
 // Expose for main plugin communication
 window.JellyfinSidebar = JellyfinSidebar;